@@ -0,0 +1,107 @@
+// ===================================================================
+// n-for 列表协调基准测试
+// ===================================================================
+// 用法: node benchmark/n-for.js [行数] [dom 实现]
+//   行数默认 2000；dom 实现可选 jsdom 或 linkedom，默认优先使用 jsdom。
+// 需要在可被 require 解析到的位置安装 jsdom 或 linkedom (例如 `npm install --no-save jsdom`，或通过 NODE_PATH 指定)。
+// 每个场景输出耗时，以及列表容器上的 insertBefore 调用次数 (即插入和移动的 DOM 操作数)。
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROW_COUNT = Number(process.argv[2]) || 2000;
+const PREFERRED_DOM = process.argv[3];
+const ROOT_DIR = path.join(__dirname, "..");
+
+function createDomEnvironment() {
+    const html = `<!doctype html><html><head></head><body><table><tbody id="list"></tbody></table></body></html>`;
+    const candidates = PREFERRED_DOM ? [PREFERRED_DOM] : ["jsdom", "linkedom"];
+    for (const name of candidates) {
+        let domModule;
+        try {
+            domModule = require(name);
+        } catch (error) {
+            continue;
+        }
+        if (name === "jsdom") {
+            const { window } = new domModule.JSDOM(html, { url: "http://localhost/", runScripts: "outside-only", pretendToBeVisual: true });
+            return { name, window, run: (source) => window.eval(source) };
+        }
+        if (name === "linkedom") {
+            const { window } = domModule.parseHTML(html);
+            // linkedom 不执行脚本，将框架代码运行在暴露了 DOM 全局对象的当前上下文中
+            globalThis.window = window;
+            globalThis.document = window.document;
+            globalThis.Node = window.Node;
+            globalThis.Element = window.Element;
+            globalThis.Comment = window.Comment;
+            // 路由模块在加载时会读取当前地址
+            if (!window.location) window.location = new URL("http://localhost/");
+            return { name, window, run: (source) => vm.runInThisContext(source) };
+        }
+    }
+    console.error(`未找到可用的 DOM 实现 (${candidates.join(" / ")})，请先安装 jsdom 或 linkedom。`);
+    process.exit(1);
+}
+
+const { name: domName, window, run } = createDomEnvironment();
+run(fs.readFileSync(path.join(ROOT_DIR, "nono-core.js"), "utf8"));
+run(fs.readFileSync(path.join(ROOT_DIR, "nono-directives.js"), "utf8"));
+
+const { NueCore, NueDirectives } = window;
+const document = window.document;
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+let nextId = 1;
+const buildRows = (count) => Array.from({ length: count }, () => ({ id: nextId++, label: `row ${nextId}` }));
+
+const listElement = document.getElementById("list");
+listElement.innerHTML = `<tr n-for="row in rows" :key="row.id"><td>{{ row.id }}</td><td>{{ row.label }}</td></tr>`;
+
+let insertCount = 0;
+const originalInsertBefore = listElement.insertBefore;
+listElement.insertBefore = function (...args) {
+    insertCount++;
+    return originalInsertBefore.apply(this, args);
+};
+
+const rows = NueCore.createSignal([]);
+const scenarios = [
+    ["创建全部行", (list) => buildRows(ROW_COUNT)],
+    ["整体替换", (list) => buildRows(ROW_COUNT)],
+    ["更新每第 10 行", (list) => list.map((row, i) => (i % 10 === 0 ? { ...row, label: `${row.label} !` } : row))],
+    ["交换第 2 行和倒数第 2 行", (list) => {
+        const next = list.slice();
+        [next[1], next[next.length - 2]] = [next[next.length - 2], next[1]];
+        return next;
+    }],
+    ["最后一行移到最前", (list) => [list[list.length - 1], ...list.slice(0, -1)]],
+    ["第一行移到最后", (list) => [...list.slice(1), list[0]]],
+    ["反转", (list) => list.slice().reverse()],
+    ["删除每第 10 行", (list) => list.filter((row, i) => i % 10 !== 0)],
+    ["头部插入 10 行", (list) => [...buildRows(10), ...list]],
+    ["清空", (list) => []],
+];
+
+(async () => {
+    await NueCore.compileNode(listElement, { rows }, NueDirectives, "benchmark");
+    await flush();
+
+    console.log(`n-for 基准测试 (${domName}, ${ROW_COUNT} 行)`);
+    for (const [label, update] of scenarios) {
+        const nextList = update(rows());
+        insertCount = 0;
+        const startTime = performance.now();
+        rows(nextList);
+        await flush();
+        const elapsed = performance.now() - startTime;
+        const renderedCount = listElement.querySelectorAll("tr").length;
+        if (renderedCount !== nextList.length) {
+            console.error(`  ${label}: 渲染结果不一致，期望 ${nextList.length} 行，实际 ${renderedCount} 行`);
+            process.exitCode = 1;
+        }
+        console.log(`  ${label.padEnd(16)} ${elapsed.toFixed(1).padStart(8)} ms   insertBefore: ${insertCount}`);
+    }
+    if (typeof window.close === "function") window.close();
+})();
@@ -21,12 +21,144 @@ function nueSimpleTransform(text, key) {
 }
 
 let currentEffect = null;
+let currentOwner = null;
 let _currentEffectCleanupList = null;
 const componentEffectsRegistry = new WeakMap();
 
+// 调度器：Signal 写入时不再同步执行 Effect，而是将其放入队列，每个微任务统一刷新一次
+const _MAX_FLUSH_ROUNDS = 100;
+const _pendingEffects = new Set();
+const _preFlushJobs = [];
+let _effectIdCounter = 0;
+let _batchDepth = 0;
+let _isFlushPending = false;
+let _isFlushing = false;
+// 正在执行的 Effect (不受 untrack 影响)，用于记录“谁写入了谁读取的数据”
+let _runningEffect = null;
+// 刷新期间有新的 Effect 入队时置位，剩余队列需要重新排序
+let _isFlushQueueStale = false;
+
+// 读取了 writer 所写数据的 Effect 高度至少比 writer 高 1，刷新时按高度排序，保证写入方先于读取方执行。
+// 子 Effect 的高度不低于其所属 Effect，保证外层先于内层执行。
+function _raiseEffectHeight(owner, height) {
+    if (owner.height !== undefined) {
+        if (owner.height >= height) return;
+        owner.height = height;
+    }
+    owner.children.forEach((child) => _raiseEffectHeight(child, height));
+}
+
+function _inheritedEffectHeight(owner) {
+    while (owner) {
+        if (owner.height !== undefined) return owner.height;
+        owner = owner.parentOwner;
+    }
+    return 0;
+}
+
+// 在 Effect 执行期间写入数据时调用 (即使值没有变化)：记录写入方与读取方的先后关系，计算属性的读取方一并处理
+function _recordWrite(subscribers, writer = _runningEffect) {
+    if (!writer || writer.height >= _MAX_FLUSH_ROUNDS) return;
+    subscribers.forEach((subscriber) => {
+        if (subscriber === writer || !subscriber.isActive) return;
+        if (subscriber.isComputed) {
+            _recordWrite(subscriber.subscribers, writer);
+        } else if (subscriber.height !== undefined) {
+            _raiseEffectHeight(subscriber, writer.height + 1);
+        }
+    });
+}
+
+function _notifySubscribers(subscribers) {
+    const effectsToRun = new Set(subscribers);
+    effectsToRun.forEach((effectInstance) => {
+        if (effectInstance && typeof effectInstance === "function" && effectInstance.isActive) {
+            if (effectInstance.isComputed || effectInstance.isSync) {
+                // 计算属性只做同步的脏标记，保证写入后立即读取能得到最新值；同步 Effect 不进入队列
+                effectInstance();
+            } else {
+                _scheduleEffect(effectInstance);
+            }
+        }
+    });
+}
+
+// flush: 'pre' 的侦听回调：在每轮刷新中先于渲染 Effect 执行
+function _schedulePreFlushJob(job) {
+    _preFlushJobs.push(job);
+    if (_isFlushing) {
+        _isFlushQueueStale = true;
+        return;
+    }
+    if (_batchDepth > 0 || _isFlushPending) return;
+    _isFlushPending = true;
+    queueMicrotask(_flushPendingEffects);
+}
+
+function _runPreFlushJobs() {
+    while (_preFlushJobs.length > 0) {
+        _preFlushJobs.shift()();
+    }
+}
+
+function _scheduleEffect(effectInstance) {
+    if (_isFlushing && !_pendingEffects.has(effectInstance)) _isFlushQueueStale = true;
+    _pendingEffects.add(effectInstance);
+    if (_batchDepth > 0 || _isFlushing || _isFlushPending) return;
+    _isFlushPending = true;
+    queueMicrotask(_flushPendingEffects);
+}
+
+function _flushPendingEffects() {
+    _isFlushPending = false;
+    if (_isFlushing) return;
+    _isFlushing = true;
+    // 记录本次刷新中每个 Effect 的执行次数，用于发现相互写入的循环
+    const runCounts = new Map();
+    try {
+        while (_pendingEffects.size > 0 || _preFlushJobs.length > 0) {
+            _runPreFlushJobs();
+            // 按高度、再按创建顺序执行：写入方先于读取方，外层 Effect 先于其内部创建的 Effect。
+            // 执行过程中有新的 Effect 入队时重新排序剩余队列；仍在队列中的 Effect 不会重复入队。
+            _isFlushQueueStale = false;
+            const queue = Array.from(_pendingEffects).sort((a, b) => a.height - b.height || a.id - b.id);
+            for (const effectInstance of queue) {
+                if (_isFlushQueueStale) break;
+                if (!_pendingEffects.has(effectInstance)) continue;
+                _pendingEffects.delete(effectInstance);
+                if (!effectInstance.isActive) continue;
+                const runCount = (runCounts.get(effectInstance) || 0) + 1;
+                if (runCount > _MAX_FLUSH_ROUNDS) {
+                    console.error(`核心错误：Effect 在一次刷新中执行超过 ${_MAX_FLUSH_ROUNDS} 次仍未稳定，可能存在相互写入的循环依赖，剩余 Effect 已被丢弃。`);
+                    _pendingEffects.clear();
+                    _preFlushJobs.length = 0;
+                    return;
+                }
+                runCounts.set(effectInstance, runCount);
+                effectInstance();
+            }
+        }
+    } finally {
+        _isFlushing = false;
+    }
+}
+
+function batch(fn) {
+    _batchDepth++;
+    try {
+        return fn();
+    } finally {
+        _batchDepth--;
+        if (_batchDepth === 0 && !_isFlushing && (_pendingEffects.size > 0 || _preFlushJobs.length > 0)) {
+            _flushPendingEffects();
+        }
+    }
+}
+
 function createSignal(initialValue) {
     let value = initialValue;
     const subscribers = new Set();
+    let writeListeners = null;
     function signalAccessor(newValue) {
         if (arguments.length === 0) {
             if (currentEffect && currentEffect.isActive) {
@@ -35,38 +167,213 @@ function createSignal(initialValue) {
             }
             return value;
         } else {
+            if (_runningEffect) _recordWrite(subscribers);
             if (value !== newValue) {
+                const oldValue = value;
                 value = newValue;
-                const effectsToRun = new Set(subscribers);
-                effectsToRun.forEach((effectInstance) => {
-                    if (effectInstance && typeof effectInstance === "function" && effectInstance.isActive) {
-                        effectInstance();
-                    }
-                });
+                if (writeListeners) {
+                    writeListeners.forEach((listener) => listener(newValue, oldValue));
+                }
+                _notifySubscribers(subscribers);
             }
             return newValue;
         }
     }
+    // 在 setter 层面观察写入 (供 createHistory 使用)，返回取消观察的函数
+    signalAccessor.__onWrite = (listener) => {
+        if (!writeListeners) writeListeners = new Set();
+        writeListeners.add(listener);
+        return () => writeListeners.delete(listener);
+    };
     signalAccessor.__is_signal__ = true;
     return signalAccessor;
 }
 
-function createEffect(fn) {
+// 所有权树：Effect 和 Root 都是 Owner，在其执行期间创建的 Effect 归属于它，
+// Owner 重新执行或停止时会先销毁所有子节点并执行通过 onCleanup 注册的清理函数
+function _attachToOwner(node, parentOwner) {
+    if (parentOwner && parentOwner.isActive) {
+        node.parentOwner = parentOwner;
+        parentOwner.children.add(node);
+        return true;
+    }
+    if (parentOwner) {
+        // Owner 已被销毁 (如组件在异步脚本 await 期间被卸载)，新建的节点随之立即销毁
+        node.dispose();
+        return false;
+    }
+    if (_currentEffectCleanupList && Array.isArray(_currentEffectCleanupList)) {
+        _currentEffectCleanupList.push(node.dispose);
+    }
+    return false;
+}
+
+function _detachFromOwner(node) {
+    if (node.parentOwner) {
+        node.parentOwner.children.delete(node);
+        node.parentOwner = null;
+    }
+}
+
+function _cleanupOwner(owner) {
+    if (owner.children.size > 0) {
+        const children = Array.from(owner.children);
+        owner.children.clear();
+        children.forEach((child) => child.dispose());
+    }
+    if (owner.cleanups.length > 0) {
+        const cleanups = owner.cleanups.splice(0);
+        cleanups.forEach((cleanupFn) => {
+            try {
+                cleanupFn();
+            } catch (error) {
+                console.error("Error executing cleanup:", error);
+            }
+        });
+    }
+}
+
+function _createOwner(parentOwner) {
+    const owner = { isActive: true, children: new Set(), cleanups: [], parentOwner: null };
+    owner.dispose = () => {
+        if (!owner.isActive) return;
+        owner.isActive = false;
+        _cleanupOwner(owner);
+        _detachFromOwner(owner);
+    };
+    _attachToOwner(owner, parentOwner);
+    return owner;
+}
+
+function _runWithOwner(owner, fn) {
+    const previousOwner = currentOwner;
+    currentOwner = owner;
+    try {
+        return fn();
+    } finally {
+        currentOwner = previousOwner;
+    }
+}
+
+function getOwner() {
+    return currentOwner;
+}
+
+// 创建一个独立的 Owner 并在其中以不追踪依赖的方式执行 fn，返回销毁函数。
+// 默认挂在当前 Owner 之下，可显式传入 parentOwner 以脱离当前 Effect 的重新执行周期。
+function createRoot(fn, parentOwner = currentOwner) {
+    const root = _createOwner(parentOwner);
+    // n-once 子树中创建的 Root (如 n-for 的每一行) 同样是静态的
+    if (parentOwner && parentOwner.isStatic) root.isStatic = true;
+    const previousEffect = currentEffect;
+    currentEffect = null;
+    try {
+        _runWithOwner(root, () => fn(root.dispose));
+    } catch (error) {
+        console.error("Error executing root:", error);
+    } finally {
+        currentEffect = previousEffect;
+    }
+    return root.dispose;
+}
+
+function untrack(fn) {
+    const previousEffect = currentEffect;
+    currentEffect = null;
+    try {
+        return fn();
+    } finally {
+        currentEffect = previousEffect;
+    }
+}
+
+/**
+ * 将错误沿所有权树向上交给最近的错误处理者 (组件脚本返回的 onError 钩子或 <error-boundary>)。
+ * 处理者自身抛出的错误会继续向上传递。
+ * @param {*} error - 捕获到的错误。
+ * @param {object} info - 错误来源信息，如 `{ source: "effect" }`、`{ source: "event", component }`。
+ * @param {object} [owner=currentOwner] - 出错位置所属的 Owner。
+ * @returns {boolean} 是否已被处理；未被处理时由调用方按原方式输出日志。
+ */
+function handleError(error, info, owner = currentOwner) {
+    let node = owner;
+    while (node) {
+        if (typeof node.errorHandler === "function" && node.isActive) {
+            try {
+                node.errorHandler(error, info);
+                return true;
+            } catch (rethrownError) {
+                error = rethrownError;
+            }
+        }
+        node = node.parentOwner;
+    }
+    return false;
+}
+
+function onCleanup(fn) {
+    if (typeof fn !== "function") return;
+    if (currentOwner && currentOwner.isActive) {
+        currentOwner.cleanups.push(fn);
+    } else if (currentOwner) {
+        // Owner 已被销毁，清理函数立即执行
+        try {
+            fn();
+        } catch (error) {
+            console.error("Error executing cleanup:", error);
+        }
+    } else if (_currentEffectCleanupList && Array.isArray(_currentEffectCleanupList)) {
+        _currentEffectCleanupList.push(fn);
+    } else {
+        console.warn("核心警告：onCleanup 在任何 Effect 或组件之外调用，该清理函数将不会被执行。");
+    }
+}
+
+function createEffect(fn, options = {}) {
+    // n-once 子树中的 Effect 只执行一次：不追踪依赖，也不保留为持久的 Effect
+    if (currentOwner && currentOwner.isStatic) {
+        untrack(() => {
+            try {
+                fn();
+            } catch (error) {
+                if (!handleError(error, { source: "effect" })) {
+                    console.error("Error executing effect:", error);
+                }
+            }
+        });
+        return () => {};
+    }
     const effect = () => {
         if (!effect.isActive) return;
+        _cleanupOwner(effect);
         cleanupEffectDependencies(effect);
+        const previousEffect = currentEffect;
+        const previousOwner = currentOwner;
+        const previousRunningEffect = _runningEffect;
         currentEffect = effect;
+        currentOwner = effect;
+        _runningEffect = effect;
         effect.dependencies = new Set();
         try {
             fn();
         } catch (error) {
-            console.error("Error executing effect:", error);
+            if (!handleError(error, { source: "effect" }, effect)) {
+                console.error("Error executing effect:", error);
+            }
         } finally {
-            currentEffect = null;
+            currentEffect = previousEffect;
+            currentOwner = previousOwner;
+            _runningEffect = previousRunningEffect;
         }
     };
+    effect.id = ++_effectIdCounter;
+    effect.height = _inheritedEffectHeight(currentOwner);
+    effect.isSync = !!options.sync;
     effect.isActive = true;
     effect.dependencies = new Set();
+    effect.children = new Set();
+    effect.cleanups = [];
+    effect.parentOwner = null;
     function cleanupEffectDependencies(effectInstance) {
         if (effectInstance.dependencies) {
             effectInstance.dependencies.forEach((signalSubscribersSet) => {
@@ -77,13 +384,14 @@ function createEffect(fn) {
     }
     const stopEffect = () => {
         if (effect.isActive) {
-            cleanupEffectDependencies(effect);
             effect.isActive = false;
+            cleanupEffectDependencies(effect);
+            _cleanupOwner(effect);
+            _detachFromOwner(effect);
         }
     };
-    if (_currentEffectCleanupList && Array.isArray(_currentEffectCleanupList)) {
-        _currentEffectCleanupList.push(stopEffect);
-    }
+    effect.dispose = stopEffect;
+    _attachToOwner(effect, currentOwner);
     try {
         effect();
     } catch (e) {
@@ -92,47 +400,1082 @@ function createEffect(fn) {
     return stopEffect;
 }
 
+// 计算属性：惰性求值并缓存结果，仅在其追踪的依赖变化时失效
+function createComputed(getter) {
+    let value;
+    let isDirty = true;
+    const subscribers = new Set();
+    const markDirty = () => {
+        if (!markDirty.isActive || isDirty) return;
+        isDirty = true;
+        _notifySubscribers(subscribers);
+    };
+    markDirty.isActive = true;
+    markDirty.isComputed = true;
+    markDirty.subscribers = subscribers;
+    markDirty.dependencies = new Set();
+    function cleanupComputedDependencies() {
+        markDirty.dependencies.forEach((signalSubscribersSet) => {
+            signalSubscribersSet.delete(markDirty);
+        });
+        markDirty.dependencies.clear();
+    }
+    function computedAccessor() {
+        if (arguments.length > 0) {
+            console.warn("核心警告：计算属性 (createComputed) 是只读的，写入操作已被忽略。");
+        }
+        if (!markDirty.isActive) {
+            return getter();
+        }
+        if (currentEffect && currentEffect.isActive) {
+            subscribers.add(currentEffect);
+            currentEffect.dependencies.add(subscribers);
+        }
+        if (isDirty) {
+            cleanupComputedDependencies();
+            const previousEffect = currentEffect;
+            currentEffect = markDirty;
+            try {
+                value = getter();
+            } catch (error) {
+                console.error("Error evaluating computed:", error);
+                value = undefined;
+            } finally {
+                currentEffect = previousEffect;
+                isDirty = false;
+            }
+        }
+        return value;
+    }
+    const stopComputed = () => {
+        if (markDirty.isActive) {
+            cleanupComputedDependencies();
+            markDirty.isActive = false;
+            _detachFromOwner(markDirty);
+        }
+    };
+    markDirty.dispose = stopComputed;
+    _attachToOwner(markDirty, currentOwner);
+    computedAccessor.__is_signal__ = true;
+    return computedAccessor;
+}
+
+// 深层响应式 Store：基于 Proxy 按属性追踪读取，修改时只触发读取过该路径的 Effect
+const _STORE_RAW = Symbol("nue.store.raw");
+const _STORE_ITERATE = Symbol("nue.store.iterate");
+const _ARRAY_MUTATION_METHODS = new Set(["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"]);
+const _ARRAY_SEARCH_METHODS = new Set(["includes", "indexOf", "lastIndexOf"]);
+const _storeProxyCache = new WeakMap();
+const _storeDependencies = new WeakMap();
+
+function _isStorableObject(value) {
+    if (value === null || typeof value !== "object") return false;
+    if (Array.isArray(value)) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function _toRawStoreValue(value) {
+    return value && typeof value === "object" && value[_STORE_RAW] ? value[_STORE_RAW] : value;
+}
+
+function _trackStoreKey(target, key) {
+    if (!currentEffect || !currentEffect.isActive) return;
+    let depsMap = _storeDependencies.get(target);
+    if (!depsMap) {
+        depsMap = new Map();
+        _storeDependencies.set(target, depsMap);
+    }
+    let subscribers = depsMap.get(key);
+    if (!subscribers) {
+        subscribers = new Set();
+        depsMap.set(key, subscribers);
+    }
+    subscribers.add(currentEffect);
+    currentEffect.dependencies.add(subscribers);
+}
+
+function _triggerStoreKey(target, key) {
+    const depsMap = _storeDependencies.get(target);
+    if (!depsMap) return;
+    const subscribers = depsMap.get(key);
+    if (subscribers && subscribers.size > 0) {
+        if (_runningEffect) _recordWrite(subscribers);
+        _notifySubscribers(subscribers);
+    }
+}
+
+function _triggerTruncatedArrayIndexes(target, newLength) {
+    const depsMap = _storeDependencies.get(target);
+    if (!depsMap) return;
+    depsMap.forEach((subscribers, key) => {
+        if (typeof key === "string" && /^\d+$/.test(key) && Number(key) >= newLength) {
+            _notifySubscribers(subscribers);
+        }
+    });
+}
+
+// Store 写入观察者：以 `(target, operations)` 接收每次写入，operation 为
+// `{ target, key, hadKey, oldValue, hasKey, newValue }`，值均为原始 (非 Proxy) 值
+const _storeWriteObservers = new Set();
+
+function _notifyStoreWrite(target, operations) {
+    if (operations.length === 0) return;
+    _storeWriteObservers.forEach((observer) => observer(target, operations));
+}
+
+const _storeHandlers = {
+    get(target, key, receiver) {
+        if (key === _STORE_RAW) return target;
+        if (key === "__is_store__") return true;
+        if (key === "__is_signal__") return undefined;
+        if (Array.isArray(target)) {
+            if (_ARRAY_MUTATION_METHODS.has(key)) {
+                // 变更方法内部会读取 length，暂停追踪以免调用方 Effect 依赖到自身的写入
+                return function (...args) {
+                    return untrack(() => Array.prototype[key].apply(this, args));
+                };
+            }
+            if (_ARRAY_SEARCH_METHODS.has(key)) {
+                // 原始数组中存放的是原始对象，需用原始值比较，同时追踪所有下标
+                return function (...args) {
+                    _trackStoreKey(target, "length");
+                    for (let i = 0; i < target.length; i++) {
+                        _trackStoreKey(target, String(i));
+                    }
+                    return Array.prototype[key].apply(target, args.map(_toRawStoreValue));
+                };
+            }
+        }
+        const value = Reflect.get(target, key, receiver);
+        if (typeof key !== "symbol") {
+            _trackStoreKey(target, key);
+        }
+        return _isStorableObject(value) ? _createStoreProxy(value) : value;
+    },
+    set(target, key, value) {
+        const rawValue = _toRawStoreValue(value);
+        const isArray = Array.isArray(target);
+        const oldLength = isArray ? target.length : 0;
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+        const oldValue = target[key];
+        // 缩短数组时被截掉的元素，供写入观察者 (createHistory) 还原
+        const truncatedItems = _storeWriteObservers.size > 0 && isArray && key === "length" && Number(rawValue) < oldLength ? target.slice(Number(rawValue)) : null;
+        const result = Reflect.set(target, key, rawValue);
+        if (!result) return result;
+        if (_storeWriteObservers.size > 0) {
+            const operations = [];
+            if (truncatedItems) {
+                truncatedItems.forEach((item, i) => operations.push({ target, key: String(Number(rawValue) + i), hadKey: true, oldValue: item, hasKey: false }));
+            }
+            if (!hadKey || !Object.is(oldValue, rawValue)) operations.push({ target, key, hadKey, oldValue, hasKey: true, newValue: rawValue });
+            if (isArray && key !== "length" && target.length !== oldLength) {
+                operations.push({ target, key: "length", hadKey: true, oldValue: oldLength, hasKey: true, newValue: target.length });
+            }
+            _notifyStoreWrite(target, operations);
+        }
+        if (!hadKey) {
+            _triggerStoreKey(target, key);
+            _triggerStoreKey(target, _STORE_ITERATE);
+        } else if (!Object.is(oldValue, rawValue)) {
+            _triggerStoreKey(target, key);
+        }
+        if (isArray && target.length !== oldLength) {
+            _triggerStoreKey(target, "length");
+            if (target.length < oldLength) {
+                _triggerTruncatedArrayIndexes(target, target.length);
+            }
+        }
+        return result;
+    },
+    deleteProperty(target, key) {
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+        const oldValue = target[key];
+        const result = Reflect.deleteProperty(target, key);
+        if (result && hadKey) {
+            if (_storeWriteObservers.size > 0) _notifyStoreWrite(target, [{ target, key, hadKey: true, oldValue, hasKey: false }]);
+            _triggerStoreKey(target, key);
+            _triggerStoreKey(target, _STORE_ITERATE);
+        }
+        return result;
+    },
+    has(target, key) {
+        if (typeof key !== "symbol") {
+            _trackStoreKey(target, key);
+        }
+        return Reflect.has(target, key);
+    },
+    ownKeys(target) {
+        _trackStoreKey(target, Array.isArray(target) ? "length" : _STORE_ITERATE);
+        return Reflect.ownKeys(target);
+    },
+};
+
+function _createStoreProxy(target) {
+    let proxy = _storeProxyCache.get(target);
+    if (!proxy) {
+        proxy = new Proxy(target, _storeHandlers);
+        _storeProxyCache.set(target, proxy);
+    }
+    return proxy;
+}
+
+function createStore(initialValue = {}) {
+    const rawValue = _toRawStoreValue(initialValue);
+    if (!_isStorableObject(rawValue)) {
+        console.error("核心错误：createStore 只接受普通对象或数组，将原样返回传入的值。", initialValue);
+        return initialValue;
+    }
+    return _createStoreProxy(rawValue);
+}
+
 if (typeof queueMicrotask !== "function") {
     window.queueMicrotask = function (cb) {
         Promise.resolve().then(cb);
     };
 }
 
-function createWatch(signalToWatch, callback, options = {}) {
-    const { immediate = false } = options;
+// 深度侦听辅助：读取 (并追踪) 值内部的每一个属性，同时生成一份普通对象快照用于结构比较
+function _snapshotDeep(value, seen = new Map()) {
+    if (value === null || typeof value !== "object") return value;
+    if (seen.has(value)) return seen.get(value);
+    if (Array.isArray(value)) {
+        const copy = [];
+        seen.set(value, copy);
+        for (let i = 0; i < value.length; i++) {
+            copy.push(_snapshotDeep(value[i], seen));
+        }
+        return copy;
+    }
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof Map) {
+        const copy = new Map();
+        seen.set(value, copy);
+        value.forEach((v, k) => copy.set(k, _snapshotDeep(v, seen)));
+        return copy;
+    }
+    if (value instanceof Set) {
+        const copy = new Set();
+        seen.set(value, copy);
+        value.forEach((v) => copy.add(_snapshotDeep(v, seen)));
+        return copy;
+    }
+    if (!_isStorableObject(_toRawStoreValue(value))) return value;
+    const copy = {};
+    seen.set(value, copy);
+    Object.keys(value).forEach((key) => {
+        copy[key] = _snapshotDeep(value[key], seen);
+    });
+    return copy;
+}
+
+function _isDeepEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    if (a instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof Map) {
+        if (a.size !== b.size) return false;
+        for (const [key, value] of a) {
+            if (!b.has(key) || !_isDeepEqual(value, b.get(key))) return false;
+        }
+        return true;
+    }
+    if (a instanceof Set) {
+        if (a.size !== b.size) return false;
+        for (const value of a) {
+            if (!b.has(value)) return false;
+        }
+        return true;
+    }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && _isDeepEqual(a[key], b[key]));
+}
+
+function _resolveWatchGetter(source) {
+    if (typeof source === "function") {
+        return source.__is_signal__ ? () => source() : source;
+    }
+    if (source && source.__is_store__) {
+        return () => source;
+    }
+    return null;
+}
+
+/**
+ * 侦听一个或多个响应式数据源的变化。
+ * @param {Function|object|Array} source - Signal、getter 函数 (如 `() => props.userId`)、Store (或其嵌套路径，如 `store.user`)，或它们组成的数组。
+ * @param {Function} callback - 变化时执行 `(newValue, oldValue)`；多数据源时两个参数均为数组。
+ * @param {object} [options]
+ * @param {boolean} [options.immediate=false] - 是否在创建时立即执行一次回调。
+ * @param {boolean} [options.deep=false] - 是否深度侦听并按结构比较；侦听 Store 时总是深度侦听，oldValue 为变化前的快照。
+ * @param {'pre'|'post'|'sync'} [options.flush='post'] - 回调时机：'sync' 在写入时同步执行，'pre' 在本轮 DOM 更新前执行，'post' 在本轮更新完成后执行。
+ * @param {number} [options.debounce] - 防抖毫秒数，连续变化停止后才执行一次回调。
+ * @param {number} [options.throttle] - 节流毫秒数，每个时间窗口内最多执行一次回调。
+ * @returns {Function} 停止侦听的函数。
+ */
+function createWatch(source, callback, options = {}) {
+    const { immediate = false, deep = false, flush = "post", debounce = 0, throttle = 0 } = options;
+    const isMultiSource = Array.isArray(source);
+    const sources = isMultiSource ? source : [source];
+    const getters = sources.map(_resolveWatchGetter);
+    if (getters.some((getter) => !getter)) {
+        console.error("核心错误：createWatch 的数据源必须是 Signal、getter 函数、Store 或它们组成的数组。", source);
+        return () => {};
+    }
+    if (!["pre", "post", "sync"].includes(flush)) {
+        console.warn(`核心警告：createWatch 的 flush 选项 "${flush}" 无效，将使用 "post"。`);
+    }
+    const isDeep = deep || sources.some((s) => s && s.__is_store__);
+    const readSources = isMultiSource ? () => getters.map((getter) => getter()) : getters[0];
+
+    // 回调在创建侦听器时的 Owner 下执行且不追踪依赖：回调中创建的 Effect 不会在侦听器下次运行时被销毁
+    const watchOwner = currentOwner;
+    const invokeCallback = (newValue, oldValueForCallback) => {
+        untrack(() =>
+            _runWithOwner(watchOwner, () => {
+                try {
+                    callback(newValue, oldValueForCallback);
+                } catch (e) {
+                    console.error("Watch callback execution failed:", e);
+                }
+            }),
+        );
+    };
+
+    // 按 flush 时机派发回调
+    let pendingArgs = null;
+    const dispatchByFlush = (newValue, oldValueForCallback) => {
+        if (flush === "sync") {
+            invokeCallback(newValue, oldValueForCallback);
+            return;
+        }
+        if (pendingArgs) {
+            // 同一轮内多次变化只回调一次：使用最新的新值和最早的旧值
+            pendingArgs.newValue = newValue;
+            return;
+        }
+        pendingArgs = { newValue, oldValue: oldValueForCallback };
+        const runPendingCallback = () => {
+            if (!pendingArgs) return;
+            const { newValue: latestNewValue, oldValue: earliestOldValue } = pendingArgs;
+            pendingArgs = null;
+            invokeCallback(latestNewValue, earliestOldValue);
+        };
+        // 'pre' 回调排在本轮所有渲染 Effect 之前执行，'post' 回调在本轮刷新完成之后执行
+        if (flush === "pre") _schedulePreFlushJob(runPendingCallback);
+        else queueMicrotask(runPendingCallback);
+    };
+
+    // 防抖 / 节流：在一次连续变化中保留最早的旧值，回调时使用最新的新值
+    let timerId = null;
+    let lastInvokeTime = 0;
+    let burst = null;
+    const flushBurst = () => {
+        timerId = null;
+        lastInvokeTime = Date.now();
+        const { newValue, oldValue: burstOldValue } = burst;
+        burst = null;
+        invokeCallback(newValue, burstOldValue);
+    };
+    const dispatchChange = (newValue, oldValueForCallback) => {
+        if (debounce > 0) {
+            burst = burst ? { newValue, oldValue: burst.oldValue } : { newValue, oldValue: oldValueForCallback };
+            clearTimeout(timerId);
+            timerId = setTimeout(flushBurst, debounce);
+        } else if (throttle > 0) {
+            burst = burst ? { newValue, oldValue: burst.oldValue } : { newValue, oldValue: oldValueForCallback };
+            if (timerId) return;
+            const remaining = throttle - (Date.now() - lastInvokeTime);
+            if (remaining <= 0) {
+                flushBurst();
+            } else {
+                timerId = setTimeout(flushBurst, remaining);
+            }
+        } else {
+            dispatchByFlush(newValue, oldValueForCallback);
+        }
+    };
+    const clearPendingTimer = () => {
+        if (timerId) {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+        burst = null;
+    };
+
+    const hasChanged = (newValue, previousValue) => {
+        if (isMultiSource) return newValue.some((value, i) => !Object.is(value, previousValue[i]));
+        return !Object.is(newValue, previousValue);
+    };
+
     let oldValue;
+    let oldSnapshot;
     let isInitialized = false;
-    let pendingCallback = false;
-    const scheduleCallback = (newValue, oldValueForCallback) => {
-        if (pendingCallback) return;
-        pendingCallback = true;
-        queueMicrotask(() => {
+    const stopEffect = createEffect(
+        () => {
+            const newValue = readSources();
+            const newSnapshot = isDeep ? _snapshotDeep(newValue) : undefined;
+            if (!isInitialized) {
+                oldValue = newValue;
+                oldSnapshot = newSnapshot;
+                isInitialized = true;
+                if (immediate) {
+                    // 'sync' / 'pre' 的首次回调在创建时同步执行
+                    if (flush === "post") dispatchByFlush(newValue, undefined);
+                    else invokeCallback(newValue, undefined);
+                }
+                return;
+            }
+            if (isDeep ? !_isDeepEqual(newSnapshot, oldSnapshot) : hasChanged(newValue, oldValue)) {
+                const previousValue = isDeep ? oldSnapshot : oldValue;
+                oldValue = newValue;
+                oldSnapshot = newSnapshot;
+                dispatchChange(newValue, previousValue);
+            }
+        },
+        // 'pre' 侦听器在写入时同步比较新旧值，回调再进入 pre 队列，保证先于渲染 Effect 执行
+        { sync: flush === "sync" || flush === "pre" },
+    );
+    const stop = () => {
+        pendingArgs = null;
+        clearPendingTimer();
+        stopEffect();
+    };
+    if (currentOwner || _currentEffectCleanupList) {
+        onCleanup(clearPendingTimer);
+    }
+    return stop;
+}
+
+/**
+ * 异步数据资源：根据数据源自动请求数据，并提供 loading / error 状态。
+ * @param {Function|object} [source] - 数据源 (Signal、getter 或 Store)。其值为 null、undefined 或 false 时不发起请求；省略时仅请求一次。
+ *   Store 会被深度追踪，其中任意数据变化都会重新请求，fetcher 收到的是 Store 的普通对象快照。
+ * @param {Function} fetcher - `(sourceValue, { signal, refetching }) => Promise`，signal 为 AbortSignal，在请求过期或所属组件卸载时触发。
+ * @param {object} [options]
+ * @param {*} [options.initialValue] - data 的初始值。
+ * @returns {{ data: Function, loading: Function, error: Function, refetch: Function, mutate: Function }}
+ */
+function createResource(source, fetcher, options = {}) {
+    if (fetcher === undefined) {
+        fetcher = source;
+        source = null;
+    }
+    const data = createSignal(options.initialValue);
+    const loading = createSignal(false);
+    const error = createSignal(null);
+    if (typeof fetcher !== "function") {
+        console.error("核心错误：createResource 的 fetcher 必须是一个函数。");
+        return { data, loading, error, refetch: () => Promise.resolve(undefined), mutate: data };
+    }
+    // Store 作为数据源时深度追踪其内容，fetcher 收到的是请求发起时的快照
+    const readSource = source === null ? () => true : source && source.__is_store__ ? () => _snapshotDeep(source) : _resolveWatchGetter(source);
+    if (!readSource) {
+        console.error("核心错误：createResource 的数据源必须是 Signal、getter 函数或 Store。", source);
+        return { data, loading, error, refetch: () => Promise.resolve(undefined), mutate: data };
+    }
+
+    let latestRequestId = 0;
+    let currentController = null;
+    let isDisposed = false;
+    const abortCurrentRequest = () => {
+        if (currentController) {
+            currentController.abort();
+            currentController = null;
+        }
+    };
+
+    const load = (sourceValue, refetching) => {
+        abortCurrentRequest();
+        const requestId = ++latestRequestId;
+        const controller = typeof AbortController === "function" ? new AbortController() : null;
+        currentController = controller;
+        loading(true);
+        error(null);
+        let result;
+        try {
+            result = fetcher(sourceValue, { signal: controller ? controller.signal : undefined, refetching });
+        } catch (e) {
+            result = Promise.reject(e);
+        }
+        return Promise.resolve(result).then(
+            (value) => {
+                // 竞态保护：只接受最后一次请求的结果
+                if (isDisposed || requestId !== latestRequestId) return data();
+                currentController = null;
+                data(value);
+                loading(false);
+                return value;
+            },
+            (e) => {
+                if (isDisposed || requestId !== latestRequestId) return data();
+                currentController = null;
+                console.error("核心错误：createResource 请求数据失败:", e);
+                error(e);
+                loading(false);
+                return undefined;
+            },
+        );
+    };
+
+    createEffect(() => {
+        const sourceValue = readSource();
+        if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+            latestRequestId++;
+            abortCurrentRequest();
+            loading(false);
+            return;
+        }
+        untrack(() => load(sourceValue, false));
+    });
+
+    if (currentOwner || _currentEffectCleanupList) {
+        onCleanup(() => {
+            isDisposed = true;
+            abortCurrentRequest();
+        });
+    }
+
+    const refetch = () => {
+        const sourceValue = untrack(readSource);
+        if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+            return Promise.resolve(data());
+        }
+        return load(sourceValue, true);
+    };
+    const mutate = (value) => data(value);
+
+    return { data, loading, error, refetch, mutate };
+}
+
+// 持久化 Signal：从 Storage 恢复初始值，变化后防抖写回，并同步其他标签页的修改
+const _PERSISTED_KEY_PREFIX = "nue-persist:";
+
+function _resolveStorage(storageOption) {
+    try {
+        if (storageOption === "session") return window.sessionStorage;
+        if (storageOption === "local" || storageOption === undefined) return window.localStorage;
+        if (storageOption && typeof storageOption.getItem === "function" && typeof storageOption.setItem === "function") return storageOption;
+    } catch (e) {
+        console.warn("核心警告：无法访问浏览器 Storage，持久化将被禁用。", e);
+        return null;
+    }
+    console.warn("核心警告：createPersistedSignal 的 storage 选项无效，应为 'local'、'session' 或 Storage 对象，持久化将被禁用。");
+    return null;
+}
+
+/**
+ * 创建一个持久化到 localStorage / sessionStorage 的 Signal。
+ * 存储的数据会记录应用版本 (NueCoreConfig.appVersion) 与 options.version，任一不一致时丢弃旧数据。
+ * @param {string} key - 存储键名 (实际键名带有 "nue-persist:" 前缀)。
+ * @param {*} initialValue - 没有可用的存储数据时使用的初始值。
+ * @param {object} [options]
+ * @param {'local'|'session'|Storage} [options.storage='local'] - 使用的存储。
+ * @param {Function} [options.serialize=JSON.stringify] - 将值序列化为字符串。
+ * @param {Function} [options.deserialize=JSON.parse] - 将字符串还原为值。
+ * @param {string|number} [options.version] - 数据版本号，变化时丢弃旧数据。
+ * @param {number} [options.debounce=100] - 写回存储的防抖毫秒数。
+ * @returns {Function} Signal 访问器，额外提供 `clear()` 用于删除存储数据并恢复初始值。
+ */
+function createPersistedSignal(key, initialValue, options = {}) {
+    const { serialize = JSON.stringify, deserialize = JSON.parse, version = null, debounce = 100 } = options;
+    const storage = _resolveStorage(options.storage);
+    const storageKey = `${_PERSISTED_KEY_PREFIX}${key}`;
+    const appVersion = NueCoreConfig.appVersion;
+
+    const parseStoredText = (text) => {
+        if (text === null || text === undefined) return { found: false };
+        try {
+            const envelope = JSON.parse(text);
+            if (!envelope || envelope.appVersion !== appVersion || envelope.version !== version) {
+                return { found: false, isStale: true };
+            }
+            return { found: true, value: deserialize(envelope.data) };
+        } catch (e) {
+            console.warn(`核心警告：持久化数据 "${key}" 解析失败，将使用初始值。`, e);
+            return { found: false, isStale: true };
+        }
+    };
+
+    let hydratedValue = initialValue;
+    if (storage) {
+        try {
+            const stored = parseStoredText(storage.getItem(storageKey));
+            if (stored.found) {
+                hydratedValue = stored.value;
+            } else if (stored.isStale) {
+                storage.removeItem(storageKey);
+            }
+        } catch (e) {
+            console.warn(`核心警告：读取持久化数据 "${key}" 失败，将使用初始值。`, e);
+        }
+    }
+    const signal = createSignal(hydratedValue);
+
+    let writeTimer = null;
+    const writeNow = () => {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        if (!storage) return;
+        try {
+            const envelope = { appVersion, version, data: serialize(untrack(signal)) };
+            storage.setItem(storageKey, JSON.stringify(envelope));
+        } catch (e) {
+            console.error(`核心错误：写入持久化数据 "${key}" 失败:`, e);
+        }
+    };
+    const scheduleWrite = () => {
+        if (!storage) return;
+        clearTimeout(writeTimer);
+        writeTimer = setTimeout(writeNow, debounce);
+    };
+    const flushPendingWrite = () => {
+        if (writeTimer) writeNow();
+    };
+
+    // 其他标签页修改了同一个键：直接更新本地值，不再写回
+    const onStorage = (event) => {
+        if (event.storageArea !== storage || event.key !== storageKey) return;
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        if (event.newValue === null) {
+            signal(initialValue);
+            return;
+        }
+        const stored = parseStoredText(event.newValue);
+        if (stored.found) signal(stored.value);
+    };
+    if (storage) {
+        window.addEventListener("storage", onStorage);
+        window.addEventListener("pagehide", flushPendingWrite);
+        if (currentOwner || _currentEffectCleanupList) {
+            onCleanup(() => {
+                flushPendingWrite();
+                window.removeEventListener("storage", onStorage);
+                window.removeEventListener("pagehide", flushPendingWrite);
+            });
+        }
+    }
+
+    function persistedAccessor(newValue) {
+        if (arguments.length === 0) {
+            return signal();
+        }
+        const hasChanged = untrack(signal) !== newValue;
+        signal(newValue);
+        if (hasChanged) scheduleWrite();
+        return newValue;
+    }
+    persistedAccessor.clear = () => {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        if (storage) {
             try {
-                callback(newValue, oldValueForCallback);
+                storage.removeItem(storageKey);
             } catch (e) {
-                console.error("Watch callback execution failed:", e);
-            } finally {
-                pendingCallback = false;
+                console.error(`核心错误：删除持久化数据 "${key}" 失败:`, e);
+            }
+        }
+        signal(initialValue);
+    };
+    persistedAccessor.__onWrite = signal.__onWrite;
+    persistedAccessor.__is_signal__ = true;
+    return persistedAccessor;
+}
+
+// 跨标签页共享 Signal：通过 BroadcastChannel (不可用时回退到 storage 事件) 同步写入
+const _SHARED_CHANNEL_PREFIX = "nue-shared:";
+
+function _openSharedChannel(channelName, injectedChannel) {
+    const wrapChannel = (channel, ownsChannel) => {
+        const listeners = new Set();
+        const onMessage = (event) => listeners.forEach((listener) => listener(event.data));
+        if (typeof channel.addEventListener === "function") {
+            channel.addEventListener("message", onMessage);
+        } else {
+            channel.onmessage = onMessage;
+        }
+        return {
+            post: (message) => channel.postMessage(message),
+            listen: (listener) => listeners.add(listener),
+            close: () => {
+                listeners.clear();
+                if (typeof channel.removeEventListener === "function") {
+                    channel.removeEventListener("message", onMessage);
+                } else {
+                    channel.onmessage = null;
+                }
+                if (ownsChannel && typeof channel.close === "function") channel.close();
+            },
+        };
+    };
+    if (injectedChannel) {
+        return wrapChannel(injectedChannel, false);
+    }
+    if (typeof BroadcastChannel === "function") {
+        return wrapChannel(new BroadcastChannel(`${_SHARED_CHANNEL_PREFIX}${channelName}`), true);
+    }
+    // 回退方案：写入 localStorage 并监听其他标签页触发的 storage 事件
+    const storageKey = `${_SHARED_CHANNEL_PREFIX}${channelName}`;
+    const listeners = new Set();
+    const onStorage = (event) => {
+        if (event.key !== storageKey || !event.newValue) return;
+        try {
+            const { message } = JSON.parse(event.newValue);
+            listeners.forEach((listener) => listener(message));
+        } catch (e) {
+            console.warn(`核心警告：共享频道 "${channelName}" 收到无法解析的消息。`, e);
+        }
+    };
+    window.addEventListener("storage", onStorage);
+    return {
+        post: (message) => {
+            try {
+                // nonce 保证相同内容的连续消息也会触发 storage 事件
+                window.localStorage.setItem(storageKey, JSON.stringify({ message, nonce: Math.random() }));
+            } catch (e) {
+                console.error(`核心错误：共享频道 "${channelName}" 发送消息失败:`, e);
+            }
+        },
+        listen: (listener) => listeners.add(listener),
+        close: () => {
+            listeners.clear();
+            window.removeEventListener("storage", onStorage);
+        },
+    };
+}
+
+// 没有 Leader 时，各标签页应答 request 前的最大随机延迟 (毫秒)
+const _SHARED_REPLY_JITTER = 50;
+
+/**
+ * 创建一个在同源的所有标签页之间同步的 Signal。
+ * @param {string} channelName - 频道名，同一频道内按 key 区分不同的 Signal。
+ * @param {string} key - Signal 的键名。
+ * @param {*} initialValue - 初始值；创建时会向其他标签页请求当前值。
+ * @param {object} [options]
+ * @param {boolean} [options.leaderElection=false] - 是否参与选主，结果通过访问器上的 `isLeader` Signal 提供。
+ * @param {number} [options.heartbeatInterval=1000] - 选主心跳间隔 (毫秒)，超过 3 个间隔未收到心跳即重新选主。
+ * @param {object} [options.channel] - 注入一个与 BroadcastChannel 接口兼容的对象 (postMessage / addEventListener)，便于测试。
+ * @returns {Function} Signal 访问器，额外提供 `isLeader` Signal 与 `close()`。
+ */
+function createSharedSignal(channelName, key, initialValue, options = {}) {
+    const { leaderElection = false, heartbeatInterval = 1000 } = options;
+    const signal = createSignal(initialValue);
+    const isLeader = createSignal(false);
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    let channel = null;
+    try {
+        channel = _openSharedChannel(channelName, options.channel);
+    } catch (e) {
+        console.error(`核心错误：无法打开共享频道 "${channelName}"，Signal "${key}" 将仅在当前标签页生效。`, e);
+    }
+    const post = (type, payload = {}) => {
+        if (!channel) return;
+        try {
+            channel.post({ __nue_shared__: true, key, type, tabId, ...payload });
+        } catch (e) {
+            console.error(`核心错误：共享 Signal "${key}" 发送消息失败:`, e);
+        }
+    };
+
+    // 选主：ID 较小的标签页胜出；Leader 定期发送心跳，心跳超时或 Leader 退出时重新选举
+    let electionTimer = null;
+    let heartbeatTimer = null;
+    let watchdogTimer = null;
+    let bestCandidateId = null;
+    let lastHeartbeatAt = 0;
+    const stepDown = () => {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        isLeader(false);
+    };
+    const becomeLeader = () => {
+        isLeader(true);
+        post("heartbeat");
+        heartbeatTimer = setInterval(() => post("heartbeat"), heartbeatInterval);
+    };
+    const startElection = () => {
+        if (electionTimer || untrack(isLeader)) return;
+        bestCandidateId = tabId;
+        post("claim");
+        electionTimer = setTimeout(() => {
+            electionTimer = null;
+            if (bestCandidateId === tabId) becomeLeader();
+        }, heartbeatInterval);
+    };
+    const handleElectionMessage = (message) => {
+        if (message.type === "heartbeat") {
+            lastHeartbeatAt = Date.now();
+            bestCandidateId = message.tabId;
+            if (untrack(isLeader) && message.tabId < tabId) stepDown();
+        } else if (message.type === "claim") {
+            if (untrack(isLeader)) {
+                post("heartbeat");
+            } else if (message.tabId < tabId) {
+                // 出现 ID 更小的候选者：放弃本轮选举，等待其心跳
+                if (bestCandidateId === null || message.tabId < bestCandidateId) bestCandidateId = message.tabId;
+                lastHeartbeatAt = Date.now();
+            } else if (electionTimer) {
+                // 告知 ID 更大的候选者本标签页更优先
+                post("claim");
+            } else if (Date.now() - lastHeartbeatAt > heartbeatInterval * 3) {
+                startElection();
+            }
+        } else if (message.type === "resign") {
+            lastHeartbeatAt = 0;
+            startElection();
+        }
+    };
+
+    // 应答新标签页的 request：有 Leader 时只由 Leader 应答；否则各标签页随机延迟后应答，
+    // 延迟期间收到同一 key 的 set (即已有标签页应答) 就放弃，避免 N 个标签页重复写入
+    const pendingReplyTimers = new Set();
+    const cancelPendingReplies = () => {
+        pendingReplyTimers.forEach((timerId) => clearTimeout(timerId));
+        pendingReplyTimers.clear();
+    };
+    const hasActiveLeader = () => leaderElection && Date.now() - lastHeartbeatAt <= heartbeatInterval * 3;
+    const replyToRequest = () => {
+        if (untrack(isLeader)) {
+            post("set", { value: untrack(signal) });
+            return;
+        }
+        if (hasActiveLeader()) return;
+        const timerId = setTimeout(() => {
+            pendingReplyTimers.delete(timerId);
+            post("set", { value: untrack(signal) });
+        }, Math.random() * _SHARED_REPLY_JITTER);
+        pendingReplyTimers.add(timerId);
+    };
+
+    if (channel) {
+        channel.listen((message) => {
+            if (!message || !message.__nue_shared__ || message.key !== key || message.tabId === tabId) return;
+            if (message.type === "set") {
+                cancelPendingReplies();
+                signal(message.value);
+            } else if (message.type === "request") {
+                replyToRequest();
+            } else if (leaderElection) {
+                handleElectionMessage(message);
             }
         });
+        post("request");
+        if (leaderElection) {
+            startElection();
+            watchdogTimer = setInterval(() => {
+                if (!untrack(isLeader) && Date.now() - lastHeartbeatAt > heartbeatInterval * 3) startElection();
+            }, heartbeatInterval);
+        }
+    }
+
+    let isClosed = false;
+    const close = () => {
+        if (isClosed) return;
+        isClosed = true;
+        cancelPendingReplies();
+        clearTimeout(electionTimer);
+        clearInterval(watchdogTimer);
+        if (untrack(isLeader)) post("resign");
+        stepDown();
+        window.removeEventListener("pagehide", close);
+        if (channel) channel.close();
     };
-    const stop = createEffect(() => {
-        const newValue = signalToWatch();
-        if (!isInitialized) {
-            oldValue = newValue;
-            isInitialized = true;
-            if (immediate) {
-                scheduleCallback(newValue, undefined);
+    window.addEventListener("pagehide", close);
+    if (currentOwner || _currentEffectCleanupList) {
+        onCleanup(close);
+    }
+
+    function sharedAccessor(newValue) {
+        if (arguments.length === 0) {
+            return signal();
+        }
+        const hasChanged = untrack(signal) !== newValue;
+        signal(newValue);
+        if (hasChanged && !isClosed) post("set", { value: _toRawStoreValue(newValue) });
+        return newValue;
+    }
+    sharedAccessor.isLeader = isLeader;
+    sharedAccessor.close = close;
+    sharedAccessor.__onWrite = signal.__onWrite;
+    sharedAccessor.__is_signal__ = true;
+    return sharedAccessor;
+}
+
+// 撤销 / 重做：记录通过 Signal setter 或 Store 修改产生的值变化。
+// Store 按写入操作记录 (而非整体快照)，撤销时按相反顺序逐个还原
+function _applyStoreOperation(target, key, exists, value) {
+    const proxy = _createStoreProxy(target);
+    if (exists) proxy[key] = value;
+    else delete proxy[key];
+}
+
+// 将 value 及其内部所有可存入 Store 的对象加入集合 (已在集合中的对象不再遍历)
+function _collectStoreTargets(value, targets) {
+    if (!_isStorableObject(value) || targets.has(value)) return;
+    targets.add(value);
+    Object.keys(value).forEach((key) => _collectStoreTargets(value[key], targets));
+}
+
+/**
+ * 为一个或多个 Signal / Store 创建撤销与重做历史。
+ * 同一同步任务内的连续修改总会合并为一条记录；`groupWithin` 毫秒内的连续修改 (如 n-model 输入) 也会合并。
+ * @param {Function|object|Array} target - Signal、Store，或它们组成的数组 (撤销时一同回退)。
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - 最多保留的撤销记录条数。
+ * @param {number} [options.groupWithin=0] - 合并连续修改的时间窗口 (毫秒)。
+ * @returns {{ undo: Function, redo: Function, canUndo: Function, canRedo: Function, clear: Function, transaction: Function }}
+ */
+function createHistory(target, options = {}) {
+    const { limit = 100, groupWithin = 0 } = options;
+    const sources = target && !target.__is_store__ && Array.isArray(target) ? target : [target];
+    const canUndo = createSignal(false);
+    const canRedo = createSignal(false);
+    let past = [];
+    let future = [];
+    let isApplying = false;
+    let transactionEntry = null;
+    let tickId = 0;
+    let isTickScheduled = false;
+
+    const updateFlags = () => {
+        canUndo(past.length > 0);
+        canRedo(future.length > 0);
+    };
+    const currentTick = () => {
+        if (!isTickScheduled) {
+            isTickScheduled = true;
+            queueMicrotask(() => {
+                isTickScheduled = false;
+                tickId++;
+            });
+        }
+        return tickId;
+    };
+
+    // updateChange(existingChange) 返回合并后的修改：Signal 为 { before, after }，Store 为 { operations }
+    const record = (sourceIndex, updateChange) => {
+        if (isApplying) return;
+        const now = Date.now();
+        const tick = currentTick();
+        const lastEntry = past[past.length - 1];
+        let entry = transactionEntry;
+        if (!entry && lastEntry && !lastEntry.isSealed && (lastEntry.tick === tick || (groupWithin > 0 && now - lastEntry.updatedAt <= groupWithin))) {
+            entry = lastEntry;
+        }
+        if (!entry) {
+            entry = { changes: new Map(), tick, updatedAt: now };
+            past.push(entry);
+            if (past.length > limit) past.shift();
+        }
+        entry.changes.set(sourceIndex, updateChange(entry.changes.get(sourceIndex)));
+        entry.tick = tick;
+        entry.updatedAt = now;
+        future = [];
+        updateFlags();
+    };
+
+    const appliers = [];
+    const stopFns = [];
+    sources.forEach((source, sourceIndex) => {
+        if (source && source.__is_store__) {
+            // Store 中的对象集合：写入目标在集合中才记录，新写入的对象随之加入
+            const storeTargets = new WeakSet();
+            _collectStoreTargets(_toRawStoreValue(source), storeTargets);
+            const observer = (target, operations) => {
+                if (!storeTargets.has(target)) return;
+                operations.forEach((operation) => {
+                    if (operation.hasKey) _collectStoreTargets(operation.newValue, storeTargets);
+                });
+                record(sourceIndex, (existingChange) => {
+                    if (!existingChange) return { operations: operations.slice() };
+                    existingChange.operations.push(...operations);
+                    return existingChange;
+                });
+            };
+            _storeWriteObservers.add(observer);
+            stopFns.push(() => _storeWriteObservers.delete(observer));
+            appliers[sourceIndex] = (change, direction) => {
+                const { operations } = change;
+                if (direction === "before") {
+                    for (let i = operations.length - 1; i >= 0; i--) {
+                        const { target, key, hadKey, oldValue } = operations[i];
+                        _applyStoreOperation(target, key, hadKey, oldValue);
+                    }
+                } else {
+                    operations.forEach(({ target, key, hasKey, newValue }) => _applyStoreOperation(target, key, hasKey, newValue));
+                }
+            };
+        } else if (source && source.__is_signal__ && typeof source.__onWrite === "function") {
+            stopFns.push(source.__onWrite((newValue, oldValue) => record(sourceIndex, (existingChange) => ({ before: existingChange ? existingChange.before : oldValue, after: newValue }))));
+            appliers[sourceIndex] = (change, direction) => source(change[direction]);
+        } else {
+            console.error("核心错误：createHistory 只能记录可写的 Signal 或 Store。", source);
+        }
+    });
+    if (currentOwner || _currentEffectCleanupList) {
+        onCleanup(() => stopFns.forEach((stop) => stop()));
+    }
+
+    const applyEntry = (entry, direction) => {
+        // 撤销 / 重做之后的新修改不应再并入已有记录
+        if (past.length > 0) past[past.length - 1].isSealed = true;
+        entry.isSealed = true;
+        isApplying = true;
+        try {
+            batch(() => {
+                entry.changes.forEach((change, sourceIndex) => appliers[sourceIndex](change, direction));
+            });
+        } finally {
+            isApplying = false;
+        }
+    };
+    const undo = () => {
+        if (transactionEntry || past.length === 0) return false;
+        const entry = past.pop();
+        applyEntry(entry, "before");
+        future.push(entry);
+        updateFlags();
+        return true;
+    };
+    const redo = () => {
+        if (transactionEntry || future.length === 0) return false;
+        const entry = future.pop();
+        applyEntry(entry, "after");
+        past.push(entry);
+        updateFlags();
+        return true;
+    };
+    const clear = () => {
+        past = [];
+        future = [];
+        updateFlags();
+    };
+    // 事务：fn 中对所有被记录数据源的修改合并为一条记录，撤销时一同回退
+    const transaction = (fn) => {
+        if (transactionEntry) return fn();
+        transactionEntry = { changes: new Map(), tick: currentTick(), updatedAt: Date.now(), isSealed: true };
+        const entry = transactionEntry;
+        try {
+            return batch(fn);
+        } finally {
+            transactionEntry = null;
+            if (entry.changes.size > 0) {
+                past.push(entry);
+                if (past.length > limit) past.shift();
+                future = [];
+                updateFlags();
             }
-            return;
         }
-        if (newValue !== oldValue) {
-            const previousOldValue = oldValue;
-            oldValue = newValue;
-            scheduleCallback(newValue, previousOldValue);
-        }
-    });
-    return stop;
+    };
+
+    return { undo, redo, canUndo, canRedo, clear, transaction };
 }
 
 // 路由功能 (无修改)
@@ -429,11 +1772,126 @@ const propTypeConverters = {
  * @param {string} componentName - 组件的名称，用于日志。
  * @returns {{ props: object, events: object, attributesToRemove: string[] }}
  */
+// ===================================================================
+// 事件修饰符
+// ===================================================================
+
+const _EVENT_OPTION_MODIFIERS = new Set(["prevent", "stop", "self", "once", "capture", "passive", "exact"]);
+const _EVENT_SYSTEM_MODIFIERS = ["ctrl", "shift", "alt", "meta"];
+const _EVENT_KEY_ALIASES = {
+    enter: ["Enter"],
+    tab: ["Tab"],
+    delete: ["Delete", "Backspace"],
+    esc: ["Escape", "Esc"],
+    space: [" ", "Spacebar"],
+    up: ["ArrowUp", "Up"],
+    down: ["ArrowDown", "Down"],
+    left: ["ArrowLeft", "Left"],
+    right: ["ArrowRight", "Right"],
+};
+const _MOUSE_BUTTON_MODIFIERS = { left: 0, middle: 1, right: 2 };
+const _DEFAULT_EVENT_WAIT = 300;
+
+/**
+ * 解析带修饰符的事件名，如 `click.prevent.stop`、`keydown.ctrl.s`、`input.debounce.300`。
+ * @param {string} rawEventName - `@` 之后的完整属性名。
+ * @returns {{ eventName: string, modifiers: Set<string>, keys: string[], debounce: number, throttle: number }}
+ */
+function parseEventModifiers(rawEventName) {
+    const [eventName, ...parts] = rawEventName.split(".");
+    const modifiers = new Set();
+    const keys = [];
+    let debounce = 0;
+    let throttle = 0;
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i].toLowerCase();
+        if (part === "debounce" || part === "throttle") {
+            const wait = /^\d+$/.test(parts[i + 1] || "") ? Number(parts[++i]) : _DEFAULT_EVENT_WAIT;
+            if (part === "debounce") debounce = wait;
+            else throttle = wait;
+        } else if (_EVENT_OPTION_MODIFIERS.has(part) || _EVENT_SYSTEM_MODIFIERS.includes(part)) {
+            modifiers.add(part);
+        } else if (part) {
+            // 按键名或鼠标按键 (left / middle / right 在键盘事件中表示方向键)
+            keys.push(part);
+        }
+    }
+    return { eventName, modifiers, keys, debounce, throttle };
+}
+
+function _passesEventModifierGuards(event, element, { modifiers, keys }) {
+    if (modifiers.has("self") && event.target !== element) return false;
+    for (const systemKey of _EVENT_SYSTEM_MODIFIERS) {
+        if (modifiers.has(systemKey) && !event[`${systemKey}Key`]) return false;
+    }
+    if (modifiers.has("exact") && _EVENT_SYSTEM_MODIFIERS.some((systemKey) => !modifiers.has(systemKey) && event[`${systemKey}Key`])) return false;
+    if (keys.length === 0) return true;
+    if (typeof event.key === "string") {
+        const pressedKey = event.key.replace(/([a-z])([A-Z])/g, "$1-$2").toLowerCase();
+        return keys.some((key) => (_EVENT_KEY_ALIASES[key] ? _EVENT_KEY_ALIASES[key].includes(event.key) : key === pressedKey));
+    }
+    if (typeof event.button === "number") {
+        const buttonKeys = keys.filter((key) => key in _MOUSE_BUTTON_MODIFIERS);
+        return buttonKeys.length === 0 || buttonKeys.some((key) => _MOUSE_BUTTON_MODIFIERS[key] === event.button);
+    }
+    return true;
+}
+
+/**
+ * 按 .once / .debounce / .throttle 包装处理函数。节流在窗口内保留最后一次调用的参数。
+ * @returns {{ handler: Function, cancel: Function }} cancel 用于清除尚未执行的定时器。
+ */
+function _wrapEventHandler({ modifiers, debounce, throttle }, invoke) {
+    let hasFired = false;
+    let timerId = null;
+    let lastInvokeTime = 0;
+    let pendingArgs = null;
+    const flushPending = () => {
+        timerId = null;
+        lastInvokeTime = Date.now();
+        const args = pendingArgs;
+        pendingArgs = null;
+        invoke(...args);
+    };
+    const handler = (...args) => {
+        if (modifiers.has("once")) {
+            if (hasFired) return;
+            hasFired = true;
+        }
+        if (debounce > 0) {
+            pendingArgs = args;
+            clearTimeout(timerId);
+            timerId = setTimeout(flushPending, debounce);
+        } else if (throttle > 0) {
+            pendingArgs = args;
+            if (timerId) return;
+            const remaining = throttle - (Date.now() - lastInvokeTime);
+            if (remaining <= 0) {
+                flushPending();
+            } else {
+                timerId = setTimeout(flushPending, remaining);
+            }
+        } else {
+            invoke(...args);
+        }
+    };
+    const cancel = () => {
+        if (timerId) {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+        pendingArgs = null;
+    };
+    return { handler, cancel };
+}
+
 function parseAndProcessProps(element, scope, propSchema = {}, componentName) {
     const rawProps = { static: {}, dynamic: {} };
     const events = {};
     const attributesToRemove = [];
     const providedPropNames = new Set();
+    let spreadPropsExpression = null;
+    let spreadEventsExpression = null;
 
     // 步骤 1: 从元素上提取所有属性和事件
     for (const attr of Array.from(element.attributes)) {
@@ -448,20 +1906,96 @@ function parseAndProcessProps(element, scope, propSchema = {}, componentName) {
             attributesToRemove.push(attrName);
             rawProps.dynamic[camelCasePropName] = attrValue; // 存储表达式
         } else if (attrName.startsWith("@")) {
-            const eventName = attrName.substring(1);
+            // 组件事件只支持与 DOM 无关的修饰符：.once / .debounce / .throttle
+            const parsedEvent = parseEventModifiers(attrName.substring(1));
+            const unsupportedModifiers = [...parsedEvent.modifiers].filter((modifier) => modifier !== "once").concat(parsedEvent.keys);
+            if (unsupportedModifiers.length > 0) {
+                console.warn(`指令警告：[${componentName}] 组件事件 "${attrName}" 不支持修饰符 ${unsupportedModifiers.map((m) => `.${m}`).join(" ")}，已忽略。`);
+            }
             attributesToRemove.push(attrName);
             // 【关键】创建绑定了正确上下文的可执行函数
-            events[eventName] = (payload) => {
+            const handlerOwner = currentOwner;
+            const { handler, cancel } = _wrapEventHandler(parsedEvent, (payload) => {
                 const executionContext = Object.create(scope);
                 executionContext.$event = payload;
-                window.NueDirectives.evaluateExpression(attrValue, executionContext, false);
-            };
+                _runWithOwner(handlerOwner, () => window.NueDirectives.evaluateExpression(attrValue, executionContext, false));
+            });
+            if (handlerOwner && (parsedEvent.debounce > 0 || parsedEvent.throttle > 0)) onCleanup(cancel);
+            events[parsedEvent.eventName] = handler;
+        } else if (attrName === "n-model" || attrName.startsWith("n-model.")) {
+            // 组件上的 n-model 展开为 modelValue Prop 和 update:modelValue 事件
+            const modelModifiers = attrName.split(".").slice(1);
+            providedPropNames.add("modelValue");
+            attributesToRemove.push(attrName);
+            rawProps.dynamic.modelValue = attrValue;
+            const binding = window.NueDirectives.resolveModelBinding(attrValue, scope, componentName);
+            if (binding) {
+                events["update:modelValue"] = (payload) => binding.set(window.NueDirectives.applyModelModifiers(payload, modelModifiers));
+            }
+        } else if (attrName === "n-bind") {
+            // 在显式属性处理完之后展开，显式传入的 Prop 优先
+            spreadPropsExpression = attrValue;
+            attributesToRemove.push(attrName);
+        } else if (attrName === "n-on") {
+            spreadEventsExpression = attrValue;
+            attributesToRemove.push(attrName);
         } else if (attrName !== "src" && attrName !== "ref" && attrName !== "n-show") {
             camelCasePropName = kebabToCamel(attrName);
             providedPropNames.add(camelCasePropName);
             attributesToRemove.push(attrName);
-            rawProps.static[camelCasePropName] = attrValue;
+            // 含插值的属性值 (如 title="Hi {{ name }}") 作为动态 Prop 处理
+            const interpolation = parseInterpolation(attrValue);
+            if (interpolation) rawProps.dynamic[camelCasePropName] = buildInterpolationExpression(interpolation);
+            else rawProps.static[camelCasePropName] = attrValue;
+        }
+    }
+
+    // 步骤 1.1: 展开 n-bind / n-on 对象。对象的键集合是响应式的：新增的键会作为 Prop 或事件传入，消失的键随之移除
+    let spreadKeys = null;
+    if (spreadPropsExpression) {
+        const explicitPropNames = new Set(providedPropNames);
+        // Prop 名 (camelCase) -> 对象中的原始键
+        spreadKeys = createSignal(new Map());
+        createEffect(() => {
+            const spreadProps = window.NueDirectives.evaluateExpression(spreadPropsExpression, scope);
+            if (spreadProps !== null && spreadProps !== undefined && typeof spreadProps !== "object") {
+                console.warn(`指令警告：[${componentName}] n-bind="${spreadPropsExpression}" 的值应为对象，实际得到 ${typeof spreadProps}。`);
+            }
+            const nextKeys = new Map();
+            if (spreadProps && typeof spreadProps === "object") {
+                Object.keys(spreadProps).forEach((key) => {
+                    const camelCasePropName = kebabToCamel(key);
+                    if (!explicitPropNames.has(camelCasePropName)) nextKeys.set(camelCasePropName, key);
+                });
+            }
+            untrack(() => {
+                const previousKeys = spreadKeys();
+                const isSameKeys = previousKeys.size === nextKeys.size && [...nextKeys].every(([propName, key]) => previousKeys.get(propName) === key);
+                if (!isSameKeys) spreadKeys(nextKeys);
+            });
+        });
+        untrack(spreadKeys).forEach((key, propName) => providedPropNames.add(propName));
+    }
+    let eventHandlers = events;
+    if (spreadEventsExpression) {
+        const spreadEvents = untrack(() => window.NueDirectives.evaluateExpression(spreadEventsExpression, scope));
+        if (spreadEvents !== null && spreadEvents !== undefined && typeof spreadEvents !== "object") {
+            console.warn(`指令警告：[${componentName}] n-on="${spreadEventsExpression}" 的值应为对象，实际得到 ${typeof spreadEvents}。`);
         }
+        // emit 时读取对象中最新的处理函数；与同名的 @event 同时存在时两者都会执行
+        eventHandlers = new Proxy(events, {
+            get(target, eventName) {
+                const explicitHandler = target[eventName];
+                if (typeof eventName !== "string") return explicitHandler;
+                const currentEvents = untrack(() => window.NueDirectives.evaluateExpression(spreadEventsExpression, scope));
+                const spreadHandler = currentEvents && typeof currentEvents === "object" ? currentEvents[eventName] : undefined;
+                if (typeof spreadHandler !== "function") return explicitHandler;
+                return (payload) => {
+                    if (explicitHandler) explicitHandler(payload);
+                    spreadHandler.call(scope, payload);
+                };
+            },
+        });
     }
 
     // 步骤 2: 根据 Schema 处理静态属性、创建响应式 Getter
@@ -505,9 +2039,16 @@ function parseAndProcessProps(element, scope, propSchema = {}, componentName) {
         finalProps[propName] = value;
     }
 
+    // n-once 子树中传给子组件的 Prop 只在挂载时求值一次；子组件自身的状态仍保持正常的响应式
+    const isStaticBinding = !!(currentOwner && currentOwner.isStatic);
+
     // 处理动态 Props (创建响应式 Getter)
     for (const propName in rawProps.dynamic) {
         const expression = rawProps.dynamic[propName];
+        if (isStaticBinding) {
+            finalProps[propName] = untrack(() => window.NueDirectives.evaluateExpression(expression, scope, true));
+            continue;
+        }
         Object.defineProperty(finalProps, propName, {
             get() {
                 // 当访问 props.myProp 时，执行此 getter
@@ -519,7 +2060,46 @@ function parseAndProcessProps(element, scope, propSchema = {}, componentName) {
         });
     }
 
-    return { props: finalProps, events, attributesToRemove };
+    // 处理 n-bind 展开的 Props：通过 Proxy 按当前的键集合读取，键的增减对子组件同样是响应式的
+    if (spreadKeys) {
+        const readSpreadProp = (key) => {
+            const spreadProps = window.NueDirectives.evaluateExpression(spreadPropsExpression, scope, true);
+            const value = spreadProps ? spreadProps[key] : undefined;
+            return value && value.__is_signal__ ? value() : value;
+        };
+        if (isStaticBinding) {
+            untrack(() => spreadKeys().forEach((key, propName) => {
+                if (!(propName in rawProps.static) && !(propName in rawProps.dynamic)) finalProps[propName] = readSpreadProp(key);
+            }));
+            return { props: finalProps, events: eventHandlers, attributesToRemove };
+        }
+        const explicitPropNames = new Set([...Object.keys(rawProps.static), ...Object.keys(rawProps.dynamic)]);
+        const getSpreadKey = (propName) => (typeof propName === "string" && !explicitPropNames.has(propName) ? spreadKeys().get(propName) : undefined);
+        const props = new Proxy(finalProps, {
+            get(target, propName, receiver) {
+                const key = getSpreadKey(propName);
+                return key !== undefined ? readSpreadProp(key) : Reflect.get(target, propName, receiver);
+            },
+            has(target, propName) {
+                return getSpreadKey(propName) !== undefined || Reflect.has(target, propName);
+            },
+            ownKeys(target) {
+                const ownKeys = Reflect.ownKeys(target);
+                spreadKeys().forEach((key, propName) => {
+                    if (!ownKeys.includes(propName)) ownKeys.push(propName);
+                });
+                return ownKeys;
+            },
+            getOwnPropertyDescriptor(target, propName) {
+                const key = getSpreadKey(propName);
+                if (key === undefined) return Reflect.getOwnPropertyDescriptor(target, propName);
+                return { value: readSpreadProp(key), writable: false, enumerable: true, configurable: true };
+            },
+        });
+        return { props, events: eventHandlers, attributesToRemove };
+    }
+
+    return { props: finalProps, events: eventHandlers, attributesToRemove };
 }
 
 /**
@@ -542,7 +2122,22 @@ function createEmitFunction(eventHandlers, componentName = "子组件") {
     };
 }
 
-async function executeScript(scriptContent, initialProps = {}, emit = () => {}, componentOriginalUrl) {
+/**
+ * 将响应式 API 绑定到组件的 Owner：组件脚本在 `await` 之后调用时，currentOwner 已不再是组件，
+ * 需要在组件 Owner 下执行，组件卸载时才能销毁其中创建的 Effect 并执行清理函数。
+ * 调用时已处于组件 Owner (或其内部的 Effect) 之下时保持原样，不打断嵌套关系。
+ */
+function _bindToComponentOwner(fn, componentOwner) {
+    if (!componentOwner) return fn;
+    return function (...args) {
+        for (let owner = currentOwner; owner; owner = owner.parentOwner) {
+            if (owner === componentOwner) return fn.apply(this, args);
+        }
+        return _runWithOwner(componentOwner, () => fn.apply(this, args));
+    };
+}
+
+async function executeScript(scriptContent, initialProps = {}, emit = () => {}, componentOriginalUrl, componentOwner = null) {
     if (!scriptContent.trim()) {
         return { refs: {} };
     }
@@ -550,8 +2145,9 @@ async function executeScript(scriptContent, initialProps = {}, emit = () => {},
         const boundImportNjsForNue = (relativePath) => {
             return _loadAndExecuteNjsModule(relativePath, componentOriginalUrl);
         };
-        const scriptArgNames = ["createSignal", "createWatch", "props", "emit", "importNjs"];
-        const scriptArgValues = [createSignal, createWatch, initialProps, emit, boundImportNjsForNue];
+        const reactiveApis = [createSignal, createComputed, createStore, createEffect, createWatch, createResource, createPersistedSignal, createSharedSignal, createHistory, onCleanup, batch].map((fn) => _bindToComponentOwner(fn, componentOwner));
+        const scriptArgNames = ["createSignal", "createComputed", "createStore", "createEffect", "createWatch", "createResource", "createPersistedSignal", "createSharedSignal", "createHistory", "onCleanup", "batch", "props", "emit", "importNjs"];
+        const scriptArgValues = [...reactiveApis, initialProps, emit, boundImportNjsForNue];
         let dynamicScriptName;
         try {
             const urlObj = new URL(componentOriginalUrl);
@@ -578,6 +2174,308 @@ async function executeScript(scriptContent, initialProps = {}, emit = () => {},
     }
 }
 
+/**
+ * 从 `{{` 之后的位置开始扫描，返回与之配对的 `}}` 的位置。
+ * 表达式中的嵌套花括号、字符串和模板字符串 (含 `${}`) 内的 `}` 不会被当作结束符。
+ * @returns {number} `}}` 的起始下标，找不到时返回 -1。
+ */
+function _findMustacheEnd(text, start) {
+    // 栈中记录尚未闭合的 "{"、"${" 和 "`"
+    const stack = [];
+    let i = start;
+    while (i < text.length) {
+        const char = text[i];
+        const top = stack[stack.length - 1];
+        if (top === "`") {
+            if (char === "\\") {
+                i += 2;
+                continue;
+            }
+            if (char === "`") stack.pop();
+            else if (char === "$" && text[i + 1] === "{") {
+                stack.push("${");
+                i += 2;
+                continue;
+            }
+            i++;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            // 跳过普通字符串
+            i++;
+            while (i < text.length && text[i] !== char) i += text[i] === "\\" ? 2 : 1;
+        } else if (char === "`" || char === "{") {
+            stack.push(char);
+        } else if (char === "}") {
+            if (stack.length === 0) {
+                if (text[i + 1] === "}") return i;
+            } else {
+                stack.pop();
+            }
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * 将包含 `{{ 表达式 }}` 的文本拆分为文本片段和表达式片段。未闭合的 `{{` 按普通文本处理。
+ * @param {string} text
+ * @returns {Array<{ type: "text"|"expression", value: string }>|null} 文本中没有插值时返回 null。
+ */
+function parseInterpolation(text) {
+    if (!text || text.indexOf("{{") === -1) return null;
+    const segments = [];
+    let lastIndex = 0;
+    let openIndex = text.indexOf("{{");
+    while (openIndex !== -1) {
+        const closeIndex = _findMustacheEnd(text, openIndex + 2);
+        if (closeIndex === -1) break;
+        const expression = text.substring(openIndex + 2, closeIndex).trim();
+        if (openIndex > lastIndex) segments.push({ type: "text", value: text.substring(lastIndex, openIndex) });
+        if (expression) segments.push({ type: "expression", value: expression });
+        lastIndex = closeIndex + 2;
+        openIndex = text.indexOf("{{", lastIndex);
+    }
+    if (!segments.some((segment) => segment.type === "expression")) return null;
+    if (lastIndex < text.length) segments.push({ type: "text", value: text.substring(lastIndex) });
+    return segments;
+}
+
+/**
+ * 将属性值中的插值片段合并为一个表达式，供属性绑定使用。
+ * 属性值只有一个插值时直接返回该表达式 (保留原始值，如 null 会移除属性)，否则拼接为字符串，null/undefined 输出为空串。
+ */
+function buildInterpolationExpression(segments) {
+    if (segments.length === 1) return segments[0].value;
+    return segments.map((segment) => (segment.type === "text" ? JSON.stringify(segment.value) : `((v) => v == null ? "" : String(v))(${segment.value})`)).join(" + ");
+}
+
+/**
+ * 收集紧跟在 n-if 元素之后的 n-else-if / n-else 兄弟元素 (中间只允许空白文本和注释)。
+ * @param {Element} element - 带有 n-if 的元素。
+ * @returns {Array<{ element: Element, expression: string|null }>} 按顺序排列的分支，n-else 的 expression 为 null。
+ */
+function collectElseBranches(element) {
+    const branches = [];
+    let sibling = element.nextSibling;
+    while (sibling) {
+        const isIgnorable = sibling.nodeType === Node.COMMENT_NODE || (sibling.nodeType === Node.TEXT_NODE && sibling.nodeValue.trim() === "");
+        if (isIgnorable) {
+            sibling = sibling.nextSibling;
+            continue;
+        }
+        if (sibling.nodeType !== Node.ELEMENT_NODE) break;
+        if (sibling.hasAttribute("n-else-if")) {
+            branches.push({ element: sibling, expression: sibling.getAttribute("n-else-if") });
+        } else if (sibling.hasAttribute("n-else")) {
+            branches.push({ element: sibling, expression: null });
+            break;
+        } else {
+            break;
+        }
+        sibling = sibling.nextSibling;
+    }
+    return branches;
+}
+
+// ===================================================================
+// 自定义指令
+// ===================================================================
+
+const customDirectiveRegistry = new Map();
+// 元素 -> 该元素上自定义指令的卸载函数列表，由 cleanupAndRemoveNode 调用
+const directiveUnmountRegistry = new WeakMap();
+// 编译时尚未插入文档的元素，其 mounted 钩子在插入后执行
+const _pendingDirectiveMounts = new Set();
+const _BUILT_IN_DIRECTIVES = new Set(["if", "else-if", "else", "for", "model", "show", "html", "text", "once", "pre", "cloak", "transition", "bind", "on"]);
+
+/**
+ * 注册自定义指令，在模板中以 `n-名称[:参数][.修饰符]` 使用，例如 `n-tooltip:top.delay="text"`。
+ * 钩子签名为 `hook(element, binding)`，binding 包含 value、oldValue、arg、modifiers、expression 和 scope (组件作用域)。
+ * 传入函数时等同于同时作为 mounted 和 updated 钩子；只传入名称时返回已注册的定义。
+ * @param {string} name - 指令名称，可以带或不带 `n-` 前缀。
+ * @param {{ created?: Function, mounted?: Function, updated?: Function, beforeUnmount?: Function } | Function} [definition]
+ */
+function registerDirective(name, definition) {
+    const directiveName = String(name).replace(/^n-/, "").toLowerCase();
+    if (definition === undefined) return customDirectiveRegistry.get(directiveName);
+    if (_BUILT_IN_DIRECTIVES.has(directiveName)) {
+        console.error(`核心错误：无法注册自定义指令 "n-${directiveName}"，该名称已被内置指令占用。`);
+        return;
+    }
+    const normalizedDefinition = typeof definition === "function" ? { mounted: definition, updated: definition } : definition;
+    if (!normalizedDefinition || typeof normalizedDefinition !== "object") {
+        console.error(`核心错误：自定义指令 "n-${directiveName}" 的定义必须是对象或函数。`);
+        return;
+    }
+    if (customDirectiveRegistry.has(directiveName)) {
+        console.warn(`核心警告：自定义指令 "n-${directiveName}" 已存在，将被覆盖。`);
+    }
+    customDirectiveRegistry.set(directiveName, normalizedDefinition);
+}
+
+// 解析 `n-name:arg.mod1.mod2`，不是已注册的自定义指令时返回 null
+function _parseCustomDirectiveAttribute(attrName) {
+    const match = attrName.match(/^n-([a-z0-9_-]+)(?::([^.]+))?((?:\.[^.]+)*)$/i);
+    if (!match || !customDirectiveRegistry.has(match[1].toLowerCase())) return null;
+    const modifiers = {};
+    match[3]
+        .split(".")
+        .filter(Boolean)
+        .forEach((modifier) => (modifiers[modifier] = true));
+    return { name: match[1].toLowerCase(), arg: match[2], modifiers };
+}
+
+/**
+ * 在元素上应用一个自定义指令：立即执行 created，之后通过 Effect 在表达式的依赖变化时执行 updated；
+ * 元素被 cleanupAndRemoveNode 移除时执行 beforeUnmount。
+ * @returns {{ element: Element, mount: Function }} mount 用于在元素插入文档后执行 mounted 钩子。
+ */
+function _bindCustomDirective(element, { name, arg, modifiers, expression }, scope, parentComponentName) {
+    const directive = customDirectiveRegistry.get(name);
+    const binding = { value: undefined, oldValue: undefined, arg, modifiers, expression, scope };
+    const owner = currentOwner;
+    let isMounted = false;
+    let isUnmounted = false;
+    const callHook = (hookName) => {
+        const hook = directive[hookName];
+        if (typeof hook !== "function") return;
+        try {
+            untrack(() => hook(element, binding));
+        } catch (error) {
+            if (!handleError(error, { source: "directive", directive: `n-${name}`, component: parentComponentName }, owner)) {
+                console.error(`核心错误：[${parentComponentName}] 执行自定义指令 n-${name} 的 ${hookName} 钩子时出错:`, error);
+            }
+        }
+    };
+
+    let isInitialized = false;
+    const stopEffect = createEffect(() => {
+        const value = expression ? window.NueDirectives.evaluateExpression(expression, scope) : undefined;
+        binding.oldValue = binding.value;
+        binding.value = value;
+        if (!isInitialized) {
+            isInitialized = true;
+            callHook("created");
+        } else if (isMounted) {
+            callHook("updated");
+        }
+    });
+
+    const mountRecord = {
+        element,
+        mount: () => {
+            if (isMounted || isUnmounted) return;
+            isMounted = true;
+            callHook("mounted");
+        },
+    };
+    const unmount = () => {
+        if (isUnmounted) return;
+        isUnmounted = true;
+        stopEffect();
+        _pendingDirectiveMounts.delete(mountRecord);
+        if (isMounted) callHook("beforeUnmount");
+    };
+    const unmountList = directiveUnmountRegistry.get(element) || [];
+    unmountList.push(unmount);
+    directiveUnmountRegistry.set(element, unmountList);
+    return mountRecord;
+}
+
+function _scheduleDirectiveMounts(mountRecords) {
+    mountRecords.forEach((record) => {
+        if (record.element.isConnected) record.mount();
+        else _pendingDirectiveMounts.add(record);
+    });
+}
+
+function _flushPendingDirectiveMounts() {
+    if (_pendingDirectiveMounts.size === 0) return;
+    for (const record of Array.from(_pendingDirectiveMounts)) {
+        if (record.element.isConnected) {
+            _pendingDirectiveMounts.delete(record);
+            record.mount();
+        }
+    }
+}
+
+// ===================================================================
+// 过渡: <transition> 包裹元素
+// ===================================================================
+
+/**
+ * 展开 <transition name="fade" appear @before-enter="..." @leave="..."> 包裹元素：
+ * 将过渡配置登记到每个子元素上，然后用子节点替换包裹元素并编译。
+ * 设置 css="false" 时不应用过渡类，只调用 JS 钩子。
+ */
+async function mountTransitionWrapper(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const hookExpressions = {};
+    Array.from(element.attributes).forEach((attr) => {
+        if (attr.name.startsWith("@")) hookExpressions[kebabToCamel(attr.name.substring(1))] = attr.value.trim();
+    });
+    const transitionConfig = {
+        name: (element.getAttribute("name") || "").trim() || "n",
+        css: element.getAttribute("css") !== "false",
+        appear: element.hasAttribute("appear"),
+        getHook: (hookName) => {
+            const expression = hookExpressions[hookName];
+            if (!expression) return null;
+            const hook = directiveHandlers.evaluateExpression(expression, scope, false);
+            return typeof hook === "function" ? hook : null;
+        },
+    };
+    const parent = element.parentNode;
+    if (!parent) {
+        console.error(`核心错误：[${parentComponentName}] <transition> 在展开前已无父节点。`);
+        return;
+    }
+    const childNodes = Array.from(element.childNodes);
+    childNodes.forEach((childNode) => {
+        if (childNode.nodeType === Node.ELEMENT_NODE) directiveHandlers.setTransition(childNode, transitionConfig);
+        parent.insertBefore(childNode, element);
+    });
+    parent.removeChild(element);
+    await Promise.all(childNodes.map((childNode) => compileNode(childNode, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl)));
+}
+
+/**
+ * 收集组件标签内的插槽内容 (`<template slot="name">` 为具名插槽，其余为默认插槽)，子节点会从元素中移出。
+ * @returns {object} `{ 插槽名: { nodes, parentScope, parentContextOriginalUrl } }`
+ */
+function collectSlotContents(element, scope, currentContextOriginalUrl) {
+    const slotsDataForChild = {};
+    const slotContentContainer = document.createDocumentFragment();
+    Array.from(element.childNodes).forEach((cn) => slotContentContainer.appendChild(cn));
+    const rawSlotContents = { default: [] };
+    // 作用域插槽：<template slot="row" slot-props="{ item, index }"> 中接收子组件数据的模式
+    const slotPropsPatterns = {};
+    Array.from(slotContentContainer.childNodes).forEach((childNode) => {
+        if (childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template") {
+            if (childNode.hasAttribute("slot")) {
+                let slotNameAttr = (childNode.getAttribute("slot") || "").trim() || "default";
+                if (!rawSlotContents[slotNameAttr]) rawSlotContents[slotNameAttr] = [];
+                const templateContent = childNode.content;
+                if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents[slotNameAttr].push(c.cloneNode(true)));
+                if (childNode.hasAttribute("slot-props")) slotPropsPatterns[slotNameAttr] = childNode.getAttribute("slot-props");
+            } else {
+                const templateContent = childNode.content;
+                if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents.default.push(c.cloneNode(true)));
+                if (childNode.hasAttribute("slot-props")) slotPropsPatterns.default = childNode.getAttribute("slot-props");
+            }
+        } else if (!(childNode.nodeType === Node.TEXT_NODE && childNode.nodeValue.trim() === "")) {
+            rawSlotContents.default.push(childNode.cloneNode(true));
+        }
+    });
+    for (const sName in rawSlotContents) {
+        if (rawSlotContents[sName].length > 0) {
+            slotsDataForChild[sName] = { nodes: rawSlotContents[sName], parentScope: scope, parentContextOriginalUrl: currentContextOriginalUrl, propsPattern: slotPropsPatterns[sName] || null };
+        }
+    }
+    return slotsDataForChild;
+}
+
 // [REPLACE] 最终修复版: 修正了指令处理优先级的 compileNode
 async function compileNode(node, scope, directiveHandlers, parentComponentName = "根组件", currentContextOriginalUrl = null) {
     if (!directiveHandlers || typeof directiveHandlers.evaluateExpression !== "function") {
@@ -589,18 +2487,57 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
         const element = node;
         const tagName = element.tagName.toLowerCase();
 
+        // n-pre: 跳过整个子树的编译，原样保留 {{ }} 等模板语法
+        if (element.hasAttribute("n-pre")) {
+            element.removeAttribute("n-pre");
+            return;
+        }
+        // n-once: 在静态 Owner 下编译子树，其中的绑定只求值一次，不创建持久的 Effect
+        if (element.hasAttribute("n-once")) {
+            element.removeAttribute("n-once");
+            const onceOwner = _createOwner(currentOwner);
+            onceOwner.isStatic = true;
+            return _runWithOwner(onceOwner, () => compileNode(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl));
+        }
+        // n-cloak 在所属组件编译完成后由 mountComponent 统一移除；组件挂载后才编译的元素 (如后续渲染的 n-if 分支) 直接移除
+        if (element.isConnected && element.hasAttribute("n-cloak")) {
+            element.removeAttribute("n-cloak");
+        }
+
         // =================================================================
         // 步骤 1: 结构性指令优先处理 (最高优先级)
         // =================================================================
         const nIfAttr = element.getAttribute("n-if");
         if (nIfAttr !== null) {
-            directiveHandlers.handleNIf(element, nIfAttr, scope, (node, s, dh, cn) => compileNode(node, s, dh, cn, currentContextOriginalUrl), directiveHandlers, parentComponentName);
+            const elseBranches = collectElseBranches(element);
+            directiveHandlers.handleNIf(element, nIfAttr, scope, (node, s, dh, cn) => compileNode(node, s, dh, cn, currentContextOriginalUrl), directiveHandlers, parentComponentName, elseBranches);
+            return;
+        }
+        if (element.hasAttribute("n-else-if") || element.hasAttribute("n-else")) {
+            // 已被前面的 n-if 收集的分支会先从 DOM 中移除，这里只会遇到孤立的分支
+            if (element.parentNode) {
+                console.warn(`指令警告：[${parentComponentName}] <${tagName}> 上的 n-else-if / n-else 必须紧跟在 n-if 或 n-else-if 元素之后，该元素将被忽略。`);
+                element.parentNode.removeChild(element);
+            }
             return;
         }
         const nForAttr = element.getAttribute("n-for");
         if (nForAttr !== null) {
-            // 这里的 compileFn 就是 compileNode 自身，它会处理克隆出的每个元素
-            directiveHandlers.handleNFor(element, nForAttr, scope, compileNode, directiveHandlers, parentComponentName);
+            // compileFn 会处理克隆出的每个区块中的顶层节点，并保留当前上下文 URL 以便解析子组件路径
+            directiveHandlers.handleNFor(element, nForAttr, scope, (node, s, dh, cn) => compileNode(node, s, dh, cn, currentContextOriginalUrl), directiveHandlers, parentComponentName);
+            return;
+        }
+
+        if (tagName === "transition") {
+            await mountTransitionWrapper(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl);
+            return;
+        }
+        if (tagName === "error-boundary") {
+            await mountErrorBoundary(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl);
+            return;
+        }
+        if (tagName === "component") {
+            await mountDynamicComponent(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl);
             return;
         }
 
@@ -623,30 +2560,7 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             if (srcAttr) element.removeAttribute("src");
             const { versionedUrl: childVersionedUrl, originalUrl: childOriginalUrl } = getVersionedAndOriginalUrls(rawComponentPath, currentContextOriginalUrl);
 
-            const slotsDataForChild = {};
-            const slotContentContainer = document.createDocumentFragment();
-            Array.from(element.childNodes).forEach((cn) => slotContentContainer.appendChild(cn));
-            const rawSlotContents = { default: [] };
-            Array.from(slotContentContainer.childNodes).forEach((childNode) => {
-                if (childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template") {
-                    if (childNode.hasAttribute("slot")) {
-                        let slotNameAttr = (childNode.getAttribute("slot") || "").trim() || "default";
-                        if (!rawSlotContents[slotNameAttr]) rawSlotContents[slotNameAttr] = [];
-                        const templateContent = childNode.content;
-                        if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents[slotNameAttr].push(c.cloneNode(true)));
-                    } else {
-                        const templateContent = childNode.content;
-                        if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents.default.push(c.cloneNode(true)));
-                    }
-                } else if (!(childNode.nodeType === Node.TEXT_NODE && childNode.nodeValue.trim() === "")) {
-                    rawSlotContents.default.push(childNode.cloneNode(true));
-                }
-            });
-            for (const sName in rawSlotContents) {
-                if (rawSlotContents[sName].length > 0) {
-                    slotsDataForChild[sName] = { nodes: rawSlotContents[sName], parentScope: scope, parentContextOriginalUrl: currentContextOriginalUrl };
-                }
-            }
+            const slotsDataForChild = collectSlotContents(element, scope, currentContextOriginalUrl);
 
             const placeholder = document.createComment(`component-placeholder: ${tagName}`);
             if (!element.parentNode) {
@@ -663,37 +2577,72 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
         // 步骤 3: 处理属性、事件和其他指令
         // =================================================================
         const attributesToRemoveAfterProcessing = [];
+        let modelAttr = null;
+        const customDirectiveAttrs = [];
+        const slotBindings = {};
         for (const attr of Array.from(element.attributes)) {
             const attrName = attr.name;
             const attrValue = attr.value;
-            if (attrName.startsWith(":")) {
+            if (attrName.startsWith(":") && tagName === "slot") {
+                // <slot :item="row"> 的绑定作为作用域插槽数据传给父组件的插槽内容
+                slotBindings[kebabToCamel(attrName.substring(1))] = attrValue;
+                attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName.startsWith(":")) {
                 if (directiveHandlers.handleAttributeBinding) directiveHandlers.handleAttributeBinding(element, attrName.substring(1), attrValue, scope, parentComponentName);
                 attributesToRemoveAfterProcessing.push(attrName);
             } else if (attrName.startsWith("@")) {
-                const eventName = attrName.substring(1);
+                const parsedEvent = parseEventModifiers(attrName.substring(1));
+                const { eventName, modifiers } = parsedEvent;
                 const handlerExpression = attrValue.trim();
-                element.addEventListener(eventName, (event) => {
+                // 记录绑定时的 Owner，事件处理器中的错误据此交给最近的错误边界
+                const handlerOwner = currentOwner;
+                const reportHandlerError = (error) => {
+                    if (!handleError(error, { source: "event", component: parentComponentName, expression: handlerExpression }, handlerOwner)) {
+                        console.error(`核心错误：[${parentComponentName}] 在执行事件处理器 "${handlerExpression}" 期间发生意外错误:`, error);
+                    }
+                };
+                if (modifiers.has("passive") && modifiers.has("prevent")) {
+                    console.warn(`指令警告：[${parentComponentName}] "${attrName}" 同时使用了 .passive 和 .prevent，浏览器会忽略 passive 监听器中的 preventDefault()。`);
+                }
+                const { handler: runHandler, cancel } = _wrapEventHandler(parsedEvent, (event) => {
                     try {
                         const executionContext = Object.create(scope);
                         executionContext.$event = event;
                         const isMethodNameOnly = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(handlerExpression);
-                        if (isMethodNameOnly) {
-                            const handlerFn = directiveHandlers.evaluateExpression(handlerExpression, executionContext, false);
-                            if (typeof handlerFn === "function") {
-                                handlerFn.call(scope, event);
+                        _runWithOwner(handlerOwner, () => {
+                            if (isMethodNameOnly) {
+                                const handlerFn = directiveHandlers.evaluateExpression(handlerExpression, executionContext, false);
+                                if (typeof handlerFn === "function") {
+                                    const result = handlerFn.call(scope, event);
+                                    if (result && typeof result.then === "function") {
+                                        result.then(null, reportHandlerError);
+                                    }
+                                } else {
+                                    console.warn(`指令警告：[${parentComponentName}] 事件处理器 "${handlerExpression}" 解析得到一个非函数值。`);
+                                }
                             } else {
-                                console.warn(`指令警告：[${parentComponentName}] 事件处理器 "${handlerExpression}" 解析得到一个非函数值。`);
+                                directiveHandlers.evaluateExpression(handlerExpression, executionContext, false);
                             }
-                        } else {
-                            directiveHandlers.evaluateExpression(handlerExpression, executionContext, false);
-                        }
+                        });
                     } catch (error) {
-                        console.error(`核心错误：[${parentComponentName}] 在执行事件处理器 "${handlerExpression}" 期间发生意外错误:`, error);
+                        reportHandlerError(error);
                     }
                 });
+                const listenerOptions = { capture: modifiers.has("capture"), passive: modifiers.has("passive") };
+                const listener = (event) => {
+                    if (!_passesEventModifierGuards(event, element, parsedEvent)) return;
+                    if (modifiers.has("prevent")) event.preventDefault();
+                    if (modifiers.has("stop")) event.stopPropagation();
+                    // .once 只在修饰符条件满足后才移除监听器，例如 @keydown.enter.once 不会被其他按键消耗
+                    if (modifiers.has("once")) element.removeEventListener(eventName, listener, listenerOptions);
+                    runHandler(event);
+                };
+                element.addEventListener(eventName, listener, listenerOptions);
+                if (handlerOwner && (parsedEvent.debounce > 0 || parsedEvent.throttle > 0)) onCleanup(cancel);
                 attributesToRemoveAfterProcessing.push(attrName);
-            } else if (attrName === "n-model" && directiveHandlers.handleNModel) {
-                directiveHandlers.handleNModel(element, attrValue, scope, parentComponentName);
+            } else if ((attrName === "n-model" || attrName.startsWith("n-model.")) && directiveHandlers.handleNModel) {
+                // n-model 在其他属性之后处理，确保 :value、:true-value 等绑定已经生效
+                modelAttr = attr;
                 attributesToRemoveAfterProcessing.push(attrName);
             } else if (attrName === "n-show" && directiveHandlers.handleNShow) {
                 directiveHandlers.handleNShow(element, attrValue, scope, parentComponentName);
@@ -701,14 +2650,45 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             } else if (attrName === "n-html" && directiveHandlers.handleNHtml) {
                 directiveHandlers.handleNHtml(element, attrValue, scope, parentComponentName);
                 attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName === "n-transition") {
+                // 过渡配置已由 n-show 等指令读取
+                attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName === "n-text" && directiveHandlers.handleNText) {
+                directiveHandlers.handleNText(element, attrValue, scope, parentComponentName);
+                attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName === "n-bind" && directiveHandlers.handleNBind) {
+                directiveHandlers.handleNBind(element, attrValue, scope, parentComponentName);
+                attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName === "n-on" && directiveHandlers.handleNOn) {
+                directiveHandlers.handleNOn(element, attrValue, scope, parentComponentName);
+                attributesToRemoveAfterProcessing.push(attrName);
+            } else if (attrName.startsWith("n-")) {
+                const customDirective = _parseCustomDirectiveAttribute(attrName);
+                if (customDirective) {
+                    customDirectiveAttrs.push({ ...customDirective, expression: attrValue.trim() });
+                    attributesToRemoveAfterProcessing.push(attrName);
+                }
+            } else if (attrName !== "ref" && attrValue.indexOf("{{") !== -1 && directiveHandlers.handleAttributeBinding) {
+                // 属性插值：title="Hello {{ name }}" 等价于 :title 绑定
+                const interpolation = parseInterpolation(attrValue);
+                if (interpolation) {
+                    // 先移除原属性，避免 class / style 把插值模板当作静态值合并
+                    element.removeAttribute(attrName);
+                    directiveHandlers.handleAttributeBinding(element, attrName, buildInterpolationExpression(interpolation), scope, parentComponentName);
+                }
             }
         }
+        if (modelAttr) {
+            directiveHandlers.handleNModel(element, modelAttr.value, scope, parentComponentName, modelAttr.name.split(".").slice(1));
+        }
         attributesToRemoveAfterProcessing.forEach((attrName) => element.removeAttribute(attrName));
+        const directiveMountRecords = customDirectiveAttrs.map((directiveAttr) => _bindCustomDirective(element, directiveAttr, scope, parentComponentName));
 
         if (isWebComponent) {
             // -------------------------------------------------
             // 3.1 如果是 Web Component，处理完属性后就“放行”
             // -------------------------------------------------
+            _scheduleDirectiveMounts(directiveMountRecords);
             return;
         }
 
@@ -731,9 +2711,19 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
                 let slotContextUrl = currentContextOriginalUrl;
                 let slotParentName = `${parentComponentName} (slot '${slotName}' fallback)`;
                 if (slotDataFromParent && slotDataFromParent.nodes && slotDataFromParent.nodes.length > 0) {
-                    const { nodes, parentScope, parentContextOriginalUrl } = slotDataFromParent;
+                    const { nodes, parentScope, parentContextOriginalUrl, propsPattern } = slotDataFromParent;
                     nodesToCompileInSlot = nodes.map((n) => n.cloneNode(true));
                     slotScope = parentScope;
+                    if (propsPattern && directiveHandlers.defineSlotProps) {
+                        // 插槽内容在叠加于父组件作用域之上的新作用域中编译，slotProps 的 getter 在子组件 (及 n-for 行) 的作用域中求值
+                        const slotProps = {};
+                        Object.keys(slotBindings).forEach((propName) => {
+                            const expression = slotBindings[propName];
+                            Object.defineProperty(slotProps, propName, { get: () => directiveHandlers.evaluateExpression(expression, scope), enumerable: true });
+                        });
+                        slotScope = Object.create(parentScope);
+                        directiveHandlers.defineSlotProps(slotScope, propsPattern, slotProps, parentComponentName);
+                    }
                     slotContextUrl = parentContextOriginalUrl;
                     slotParentName = `${parentComponentName} (slot '${slotName}' content from parent)`;
                 } else {
@@ -745,6 +2735,7 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
                 await Promise.all(compileSlotPromises);
                 parentOfSlotTag.insertBefore(contentFragmentForSlot, element);
                 parentOfSlotTag.removeChild(element);
+                _flushPendingDirectiveMounts();
             } else {
                 console.warn(`核心警告：[${parentComponentName}] <slot name="${slotName}"> 标签无父节点，无法渲染。`);
             }
@@ -754,22 +2745,15 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
         // 编译普通元素的子节点
         const compileChildPromises = Array.from(element.childNodes).map((child) => compileNode(child, scope, directiveHandlers, `${parentComponentName} > ${element.tagName.toUpperCase()}`, currentContextOriginalUrl));
         await Promise.all(compileChildPromises);
+        // 子节点编译完成后执行自定义指令的 mounted 钩子 (元素尚未插入文档时延后到插入之后)
+        _scheduleDirectiveMounts(directiveMountRecords);
     } else if (node.nodeType === Node.TEXT_NODE) {
-        // 文本节点的处理逻辑保持不变
-        const textContent = node.textContent || "";
-        const mustacheRegex = /\{\{([^}]+)\}\}/g;
-        if (!mustacheRegex.test(textContent)) return;
-        const segments = [];
-        let lastIndex = 0;
-        let match;
-        mustacheRegex.lastIndex = 0;
-        while ((match = mustacheRegex.exec(textContent)) !== null) {
-            if (match.index > lastIndex) {
-                segments.push(document.createTextNode(textContent.substring(lastIndex, match.index)));
-            }
-            const expression = match[1].trim();
+        const interpolation = parseInterpolation(node.textContent || "");
+        if (!interpolation) return;
+        const segments = interpolation.map((segment) => {
+            if (segment.type === "text") return document.createTextNode(segment.value);
+            const expression = segment.value;
             const placeholderNode = document.createTextNode("");
-            segments.push(placeholderNode);
             createEffect(() => {
                 try {
                     const value = directiveHandlers.evaluateExpression(expression, scope);
@@ -779,11 +2763,8 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
                     placeholderNode.textContent = `{{表达式错误: ${expression}}}`;
                 }
             });
-            lastIndex = mustacheRegex.lastIndex;
-        }
-        if (lastIndex < textContent.length) {
-            segments.push(document.createTextNode(textContent.substring(lastIndex)));
-        }
+            return placeholderNode;
+        });
         if (segments.length > 0 && node.parentNode) {
             segments.forEach((segment) => node.parentNode.insertBefore(segment, node));
             node.parentNode.removeChild(node);
@@ -791,6 +2772,163 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
     }
 }
 
+/**
+ * 内置 <error-boundary>：捕获其内容中 (组件挂载、Effect、事件处理器、onMount) 抛出的错误，
+ * 出错后改为渲染 `<template slot="fallback">` 中的内容，fallback 中可使用 `error` 与 `reset()`。
+ */
+async function mountErrorBoundary(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const boundaryName = `${parentComponentName} > ERROR-BOUNDARY`;
+    const contentNodes = [];
+    const fallbackNodes = [];
+    Array.from(element.childNodes).forEach((childNode) => {
+        const isFallbackTemplate = childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template" && (childNode.getAttribute("slot") || "").trim() === "fallback";
+        if (isFallbackTemplate) {
+            Array.from(childNode.content.childNodes).forEach((c) => fallbackNodes.push(c.cloneNode(true)));
+        } else {
+            contentNodes.push(childNode.cloneNode(true));
+        }
+    });
+    if (!element.parentNode) {
+        console.error(`核心错误：[${parentComponentName}] <error-boundary> 在替换为锚点前已无父节点。`);
+        return;
+    }
+    // 内容渲染在两个注释锚点之间，切换内容时清理锚点之间的全部节点
+    const startAnchor = document.createComment("error-boundary");
+    const endAnchor = document.createComment("/error-boundary");
+    element.parentNode.insertBefore(startAnchor, element);
+    element.parentNode.replaceChild(endAnchor, element);
+
+    const setupOwner = currentOwner;
+    let activeOwner = null;
+    let hasFailed = false;
+
+    const clearRange = () => {
+        if (activeOwner) {
+            activeOwner.dispose();
+            activeOwner = null;
+        }
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+    };
+    const renderNodes = (nodes, renderScope, renderName, owner) => {
+        activeOwner = owner;
+        const fragment = document.createDocumentFragment();
+        nodes.forEach((node) => fragment.appendChild(node.cloneNode(true)));
+        const topLevelNodes = Array.from(fragment.childNodes);
+        if (endAnchor.parentNode) {
+            endAnchor.parentNode.insertBefore(fragment, endAnchor);
+        }
+        const compilePromises = _runWithOwner(owner, () => topLevelNodes.map((node) => compileNode(node, renderScope, directiveHandlers, renderName, currentContextOriginalUrl)));
+        return Promise.all(compilePromises).catch((error) => {
+            if (!handleError(error, { source: "mount", component: renderName }, owner)) {
+                console.error(`核心错误：[${renderName}] 编译内容时出错:`, error);
+            }
+        });
+    };
+
+    let reset;
+    const showFallback = (error, info) => {
+        if (hasFailed) {
+            console.error(`核心错误：[${boundaryName}] 已在显示 fallback 内容，忽略后续错误:`, error);
+            return;
+        }
+        hasFailed = true;
+        console.error(`核心错误：[${boundaryName}] 捕获到来自 ${info && info.source} 的错误，将渲染 fallback 内容:`, error);
+        // 错误可能发生在编译或 Effect 执行中途，延迟到微任务中再替换内容
+        queueMicrotask(() => {
+            clearRange();
+            const fallbackScope = Object.create(scope);
+            fallbackScope.error = error;
+            fallbackScope.errorInfo = info;
+            fallbackScope.reset = reset;
+            renderNodes(fallbackNodes, fallbackScope, `${boundaryName} (fallback)`, _createOwner(setupOwner));
+        });
+    };
+    const renderContent = () => {
+        hasFailed = false;
+        const contentOwner = _createOwner(setupOwner);
+        contentOwner.errorHandler = showFallback;
+        return renderNodes(contentNodes, scope, boundaryName, contentOwner);
+    };
+    reset = () => {
+        clearRange();
+        return renderContent();
+    };
+
+    await renderContent();
+}
+
+/**
+ * 内置 <component :is="expr">：根据表达式的值动态挂载组件，值变化时卸载旧实例并挂载新实例。
+ * 值可以是 `.nue` 路径 (含 `/` 或以 `.nue` 结尾)，也可以是组件名。框架没有组件注册表，组件名按与自定义标签相同的约定
+ * 解析为相对当前组件的 `名称.nue` (如 `user-card` 对应 `user-card.nue`)，位于其他位置的组件需传入路径；
+ * 值为空时不渲染任何内容。其余属性、事件和插槽内容会原样传给每次挂载的组件。
+ */
+async function mountDynamicComponent(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const isExpression = element.hasAttribute(":is") ? element.getAttribute(":is") : JSON.stringify(element.getAttribute("is") || "");
+    element.removeAttribute(":is");
+    element.removeAttribute("is");
+    if (element.hasAttribute("src")) {
+        console.warn(`指令警告：[${parentComponentName}] <component> 不支持 src 属性，请在 :is 中直接传入组件路径。`);
+        element.removeAttribute("src");
+    }
+    const { props, events } = parseAndProcessProps(element, scope, {}, `${parentComponentName} > COMPONENT`);
+    const slotsDataForChild = collectSlotContents(element, scope, currentContextOriginalUrl);
+    if (!element.parentNode) {
+        console.error(`核心错误：[${parentComponentName}] <component> 在替换为锚点前已无父节点。`);
+        return;
+    }
+    const startAnchor = document.createComment("component");
+    const endAnchor = document.createComment("/component");
+    element.parentNode.insertBefore(startAnchor, element);
+    element.parentNode.replaceChild(endAnchor, element);
+
+    const setupOwner = currentOwner;
+    let activeOwner = null;
+    // 每次切换递增；异步加载完成时版本已变化说明期间又切换过，结果直接丢弃
+    let mountVersion = 0;
+    let initialMount = null;
+
+    const clearRange = () => {
+        if (activeOwner) {
+            activeOwner.dispose();
+            activeOwner = null;
+        }
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+    };
+    const mountTarget = (target) => {
+        const version = ++mountVersion;
+        clearRange();
+        if (target === null || target === undefined || target === false || target === "") return null;
+        if (typeof target !== "string") {
+            console.warn(`指令警告：[${parentComponentName}] <component :is="${isExpression}"> 的值应为组件名或 .nue 路径，实际得到 ${typeof target}。`);
+            return null;
+        }
+        const isPath = target.includes("/") || target.endsWith(".nue");
+        const componentFile = isPath ? target : `${target}.nue`;
+        const componentName = componentFile.substring(componentFile.lastIndexOf("/") + 1).replace(/\.nue$/, "");
+        const placeholder = document.createComment(`component-placeholder: ${componentName}`);
+        endAnchor.parentNode.insertBefore(placeholder, endAnchor);
+        const owner = _createOwner(setupOwner);
+        activeOwner = owner;
+        // 占位符被 clearRange 移除后，mountComponent 会放弃插入过期的实例
+        return _runWithOwner(owner, () => mountComponent(componentFile, placeholder, props, events, componentName, slotsDataForChild, currentContextOriginalUrl)).then((rootNode) => {
+            if (version !== mountVersion && rootNode) cleanupAndRemoveNode(rootNode);
+            return rootNode;
+        });
+    };
+
+    createEffect(() => {
+        const target = directiveHandlers.evaluateExpression(isExpression, scope);
+        const pendingMount = untrack(() => mountTarget(target));
+        if (!initialMount) initialMount = pendingMount || Promise.resolve();
+    });
+    await initialMount;
+}
+
 function injectStyles(css, originalComponentUrl) {
     if (!css || !css.trim()) return;
     const styleId = `nono-style-${originalComponentUrl.replace(/[^a-zA-Z0-9_-]/g, "-")}`;
@@ -804,6 +2942,12 @@ function injectStyles(css, originalComponentUrl) {
 function cleanupAndRemoveNode(node) {
     if (!node) return;
     if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.COMMENT_NODE) {
+        // 自定义指令的 beforeUnmount 在子节点清理之前执行
+        const directiveUnmounts = directiveUnmountRegistry.get(node);
+        if (directiveUnmounts) {
+            directiveUnmountRegistry.delete(node);
+            directiveUnmounts.forEach((unmount) => unmount());
+        }
         if (node.nodeType === Node.ELEMENT_NODE && node.hasChildNodes()) {
             Array.from(node.childNodes).forEach((child) => cleanupAndRemoveNode(child));
         }
@@ -860,7 +3004,10 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         console.error(`核心错误：[${componentName}] 挂载失败，无效的目标类型:`, targetSelectorOrElement);
         return null;
     }
-    const effectsForThisComponent = [];
+    // 组件 Owner 挂在挂载时的当前 Owner 之下 (例如 n-if 分支)，父级销毁时组件内的 Effect 随之销毁
+    const mountOwner = currentOwner;
+    const componentOwner = _createOwner(mountOwner);
+    const effectsForThisComponent = [componentOwner.dispose];
     const previousEffectCleanupList = _currentEffectCleanupList;
     _currentEffectCleanupList = effectsForThisComponent;
     let mountedRootNode = null;
@@ -877,10 +3024,13 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         const { template, script, style } = cacheEntry.structure;
 
         const emit = createEmitFunction(eventHandlers, componentName);
-        const componentScope = await executeScript(script, initialProps, emit, originalAbsoluteUrl);
+        const componentScope = await _runWithOwner(componentOwner, () => executeScript(script, initialProps, emit, originalAbsoluteUrl, componentOwner));
 
         if (componentScope && typeof componentScope === "object") {
             componentScope.$slots = slotsDataFromParent;
+            if (typeof componentScope.onError === "function") {
+                componentOwner.errorHandler = (error, info) => componentScope.onError(error, info);
+            }
         }
 
         let fragment;
@@ -897,9 +3047,14 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         mountedRootNode = topLevelNodesInFragment[0] || null;
 
         // [MODIFIED] 移除 rootContext 的创建和传递
-        const compilePromises = topLevelNodesInFragment.map((node) => compileNode(node, componentScope, window.NueDirectives, componentName, originalAbsoluteUrl));
+        const compilePromises = _runWithOwner(componentOwner, () => topLevelNodesInFragment.map((node) => compileNode(node, componentScope, window.NueDirectives, componentName, originalAbsoluteUrl)));
         await Promise.all(compilePromises);
 
+        // 加载期间占位符已被移除 (如 n-if 分支或 <component :is> 已切换)，放弃挂载这个过期的实例
+        if (isPlaceholder && !targetElement.parentNode) {
+            componentOwner.dispose();
+            return null;
+        }
         injectStyles(style, originalAbsoluteUrl);
         if (isPlaceholder) {
             const parent = targetElement.parentNode;
@@ -912,14 +3067,24 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
             targetElement.innerHTML = "";
             targetElement.appendChild(fragment);
         }
-        if (mountedRootNode && effectsForThisComponent.length > 0) {
+        // 组件编译完成并插入后移除 n-cloak (包括挂载目标元素本身)，避免未编译的模板闪现
+        const cloakRoots = isPlaceholder ? topLevelNodesInFragment : [targetElement];
+        cloakRoots.forEach((rootNode) => {
+            if (rootNode.nodeType !== Node.ELEMENT_NODE) return;
+            rootNode.removeAttribute("n-cloak");
+            rootNode.querySelectorAll("[n-cloak]").forEach((cloakedElement) => cloakedElement.removeAttribute("n-cloak"));
+        });
+        _flushPendingDirectiveMounts();
+        if (mountedRootNode) {
             componentEffectsRegistry.set(mountedRootNode, new Set(effectsForThisComponent));
         }
         if (mountedRootNode && componentScope && typeof componentScope.onMount === "function") {
             try {
-                await componentScope.onMount();
+                await _runWithOwner(componentOwner, () => componentScope.onMount());
             } catch (error) {
-                console.error(`核心错误：[${componentName}] 执行 onMount 钩子时出错:`, error);
+                if (!handleError(error, { source: "onMount", component: componentName }, componentOwner)) {
+                    console.error(`核心错误：[${componentName}] 执行 onMount 钩子时出错:`, error);
+                }
             }
         }
         if (mountedRootNode && componentScope && typeof componentScope.onUnmount === "function") {
@@ -927,6 +3092,10 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         }
         return mountedRootNode;
     } catch (error) {
+        componentOwner.dispose();
+        if (handleError(error, { source: "mount", component: componentName }, mountOwner)) {
+            return null;
+        }
         console.error(`核心错误：挂载组件 ${componentName} (源文件: ${originalAbsoluteUrl}) 失败:`, error);
         if (targetElement instanceof Element && !isPlaceholder) {
             targetElement.innerHTML = `<p style="color:red;">组件 ${componentName} (源: ${originalAbsoluteUrl}) 加载或渲染失败。详情请查看控制台。</p>`;
@@ -994,9 +3163,20 @@ window.NueCore = {
     },
     createSignal,
     createEffect,
+    createComputed,
+    createStore,
     createWatch,
+    createResource,
+    createPersistedSignal,
+    createSharedSignal,
+    createHistory,
+    batch,
+    onCleanup,
+    createRoot,
+    untrack,
     createUrlWatch,
     navigateTo,
+    directive: registerDirective,
     compileNode,
     cleanupAndRemoveNode,
 };
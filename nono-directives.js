@@ -4,6 +4,10 @@
 
 // 添加一个缓存来存储已编译的表达式函数
 const expressionCache = new Map();
+// 元素 -> 外层 <transition> 提供的过渡配置，由 n-if / n-show / n-for 读取
+const transitionConfigRegistry = new WeakMap();
+// 元素 -> 取消其当前进行中的进入 / 离开过渡的函数
+const activeTransitions = new WeakMap();
 
 window.NueDirectives = {
     /**
@@ -67,167 +71,767 @@ window.NueDirectives = {
         try {
             return compiledFn(context);
         } catch (error) {
-            // 这里的错误是运行时错误，而不是编译错误
-            console.error(`核心错误：执行表达式 "${expression}" 时出错:`, error);
+            // 这里的错误是运行时错误，而不是编译错误；优先交给最近的错误边界处理
+            if (!handleError(error, { source: "expression", expression })) {
+                console.error(`核心错误：执行表达式 "${expression}" 时出错:`, error);
+            }
             return undefined;
         }
     },
 
-    handleNIf(element, expression, scope, compileFn, directiveHandlers, parentComponentName) {
+    /**
+     * 将结构指令 (n-if / n-for) 的模板元素克隆为一个区块。
+     * 普通元素的区块就是克隆出的元素本身；<template> 渲染其全部内容，组件、<slot>、<component>、<transition> 等元素在编译时会被替换，
+     * 这两种情况都用一对注释锚点界定区块范围，插入、移动和清理都作用于锚点之间的整段节点。
+     * @param {Element} element - 带有结构指令的模板元素。
+     * @param {string} label - 锚点注释的文本。
+     * @param {string[]} directiveAttrs - 需要从克隆节点上移除的指令属性。
+     * @returns {{ start: Node, end: Node, nodes: Node[] }} 区块的首尾节点和需要编译的顶层节点。
+     */
+    createBlock(element, label, directiveAttrs) {
+        const tagName = element.tagName.toLowerCase();
+        if (tagName === "template") {
+            const content = element.content.cloneNode(true);
+            return { start: document.createComment(label), end: document.createComment(`/${label}`), nodes: Array.from(content.childNodes) };
+        }
+        const clone = element.cloneNode(true);
+        directiveAttrs.forEach((attrName) => clone.removeAttribute(attrName));
+        if (tagName === "slot" || tagName === "component" || tagName === "transition" || tagName.includes("-")) {
+            return { start: document.createComment(label), end: document.createComment(`/${label}`), nodes: [clone] };
+        }
+        return { start: clone, end: clone, nodes: [clone] };
+    },
+
+    insertBlock(block, parent, referenceNode) {
+        const fragment = document.createDocumentFragment();
+        if (block.start !== block.nodes[0]) fragment.appendChild(block.start);
+        block.nodes.forEach((node) => fragment.appendChild(node));
+        if (block.end !== block.start) fragment.appendChild(block.end);
+        parent.insertBefore(fragment, referenceNode);
+    },
+
+    // 按当前 DOM 收集区块内的节点：编译后区块内的节点可能已被替换或增减
+    getBlockNodes(block) {
+        const nodes = [];
+        let node = block.start;
+        while (node) {
+            nodes.push(node);
+            if (node === block.end) break;
+            node = node.nextSibling;
+        }
+        return nodes;
+    },
+
+    moveBlock(block, parent, referenceNode) {
+        const fragment = document.createDocumentFragment();
+        this.getBlockNodes(block).forEach((node) => fragment.appendChild(node));
+        parent.insertBefore(fragment, referenceNode);
+    },
+
+    removeBlock(block) {
+        this.getBlockNodes(block).forEach((node) => cleanupAndRemoveNode(node));
+    },
+
+    /**
+     * 读取元素的过渡配置：来自外层 <transition> 包裹元素，或 `n-transition="name"` 属性 (省略名称时为 "n")。
+     * @returns {{ name: string, css: boolean, appear: boolean, getHook: Function } | null} 没有过渡时返回 null。
+     */
+    setTransition(element, transitionConfig) {
+        transitionConfigRegistry.set(element, transitionConfig);
+    },
+
+    resolveTransition(element) {
+        const wrappedConfig = transitionConfigRegistry.get(element);
+        if (wrappedConfig) return wrappedConfig;
+        if (!element.hasAttribute("n-transition")) return null;
+        const name = element.getAttribute("n-transition").trim() || "n";
+        return { name, css: true, appear: false, getHook: () => null };
+    },
+
+    callTransitionHook(transition, hookName, el, done) {
+        const hook = transition.getHook(hookName);
+        if (!hook) return;
+        try {
+            untrack(() => hook(el, done));
+        } catch (error) {
+            if (!handleError(error, { source: "transition", hook: hookName })) {
+                console.error(`指令错误：执行过渡钩子 ${hookName} 时出错:`, error);
+            }
+        }
+    },
+
+    nextFrame(callback) {
+        if (typeof requestAnimationFrame === "function") {
+            requestAnimationFrame(() => requestAnimationFrame(callback));
+        } else {
+            setTimeout(callback, 16);
+        }
+    },
+
+    // 根据计算样式中的时长等待 transitionend / animationend，时长为 0 时立即完成；另设超时兜底
+    whenTransitionEnds(el, callback) {
+        const style = window.getComputedStyle(el);
+        const toMilliseconds = (value) => Number(value.trim().slice(0, -1).replace(",", ".")) * 1000 || 0;
+        const getTimeout = (durations, delays) => {
+            const durationList = (durations || "0s").split(",");
+            const delayList = (delays || "0s").split(",");
+            return { timeout: Math.max(...durationList.map((duration, i) => toMilliseconds(duration) + toMilliseconds(delayList[i % delayList.length]))), count: durationList.length };
+        };
+        const transitionInfo = getTimeout(style.transitionDuration, style.transitionDelay);
+        const animationInfo = getTimeout(style.animationDuration, style.animationDelay);
+        const isTransition = transitionInfo.timeout >= animationInfo.timeout;
+        const { timeout, count } = isTransition ? transitionInfo : animationInfo;
+        if (!timeout) {
+            callback();
+            return;
+        }
+        const endEventName = isTransition ? "transitionend" : "animationend";
+        let endedCount = 0;
+        let isDone = false;
+        const done = () => {
+            if (isDone) return;
+            isDone = true;
+            el.removeEventListener(endEventName, onEnd);
+            clearTimeout(fallbackTimer);
+            callback();
+        };
+        const onEnd = (event) => {
+            if (event.target === el && ++endedCount >= count) done();
+        };
+        el.addEventListener(endEventName, onEnd);
+        const fallbackTimer = setTimeout(done, timeout + 50);
+    },
+
+    cancelTransition(el) {
+        const cancel = activeTransitions.get(el);
+        if (cancel) cancel();
+    },
+
+    /**
+     * 进入过渡：依次应用 `name-enter-from` / `name-enter-active` / `name-enter-to` 类，并调用 JS 钩子。
+     * enter 钩子声明了第二个参数 done 时，由钩子调用 done 结束过渡。
+     */
+    runEnterTransition(el, transition) {
+        this.cancelTransition(el);
+        const { name, css } = transition;
+        const enterHook = transition.getHook("enter");
+        const expectsDone = !!enterHook && enterHook.length >= 2;
+        let isFinished = false;
+        const finish = (isCancelled) => {
+            if (isFinished) return;
+            isFinished = true;
+            activeTransitions.delete(el);
+            if (css) el.classList.remove(`${name}-enter-from`, `${name}-enter-active`, `${name}-enter-to`);
+            this.callTransitionHook(transition, isCancelled ? "enterCancelled" : "afterEnter", el);
+        };
+        activeTransitions.set(el, () => finish(true));
+        this.callTransitionHook(transition, "beforeEnter", el);
+        if (css) el.classList.add(`${name}-enter-from`, `${name}-enter-active`);
+        this.nextFrame(() => {
+            if (isFinished) return;
+            if (css) {
+                el.classList.remove(`${name}-enter-from`);
+                el.classList.add(`${name}-enter-to`);
+            }
+            if (!expectsDone) {
+                if (css) this.whenTransitionEnds(el, () => finish(false));
+                else finish(false);
+            }
+        });
+        this.callTransitionHook(transition, "enter", el, () => finish(false));
+    },
+
+    /**
+     * 离开过渡：依次应用 `name-leave-from` / `name-leave-active` / `name-leave-to` 类，结束后调用 onDone。
+     * 过渡被新的进入过渡取消时不会调用 onDone。
+     */
+    runLeaveTransition(el, transition, onDone) {
+        this.cancelTransition(el);
+        const { name, css } = transition;
+        const leaveHook = transition.getHook("leave");
+        const expectsDone = !!leaveHook && leaveHook.length >= 2;
+        let isFinished = false;
+        const finish = (isCancelled) => {
+            if (isFinished) return;
+            isFinished = true;
+            activeTransitions.delete(el);
+            if (css) el.classList.remove(`${name}-leave-from`, `${name}-leave-active`, `${name}-leave-to`);
+            this.callTransitionHook(transition, isCancelled ? "leaveCancelled" : "afterLeave", el);
+            if (!isCancelled) onDone();
+        };
+        activeTransitions.set(el, () => finish(true));
+        this.callTransitionHook(transition, "beforeLeave", el);
+        if (css) {
+            el.classList.add(`${name}-leave-from`);
+            void el.offsetHeight; // 强制回流，确保 leave-from 的样式生效
+            el.classList.add(`${name}-leave-active`);
+        }
+        this.nextFrame(() => {
+            if (isFinished) return;
+            if (css) {
+                el.classList.remove(`${name}-leave-from`);
+                el.classList.add(`${name}-leave-to`);
+            }
+            if (!expectsDone) {
+                if (css) this.whenTransitionEnds(el, () => finish(false));
+                else finish(false);
+            }
+        });
+        this.callTransitionHook(transition, "leave", el, () => finish(false));
+    },
+
+    // 对区块中的顶层元素执行进入过渡；区块已开始离开时跳过
+    enterBlock(block, transition) {
+        if (block.isLeaving) return;
+        this.getBlockNodes(block)
+            .filter((node) => node.nodeType === Node.ELEMENT_NODE)
+            .forEach((el) => this.runEnterTransition(el, transition));
+    },
+
+    // 对区块中的顶层元素执行离开过渡，全部结束后再移除整个区块
+    leaveBlock(block, transition) {
+        block.isLeaving = true;
+        const elements = this.getBlockNodes(block).filter((node) => node.nodeType === Node.ELEMENT_NODE);
+        if (elements.length === 0) {
+            this.removeBlock(block);
+            return;
+        }
+        let remainingCount = elements.length;
+        elements.forEach((el) =>
+            this.runLeaveTransition(el, transition, () => {
+                if (--remainingCount === 0) this.removeBlock(block);
+            }),
+        );
+    },
+
+    // FLIP：比较重排前后的位置，先用 transform 把元素放回旧位置，再加上 `name-move` 类过渡到新位置
+    applyMoveTransitions(elements, previousRects, transition) {
+        const movedElements = [];
+        elements.forEach((el) => {
+            const previousRect = previousRects.get(el);
+            if (!previousRect) return;
+            const currentRect = el.getBoundingClientRect();
+            const dx = previousRect.left - currentRect.left;
+            const dy = previousRect.top - currentRect.top;
+            if (!dx && !dy) return;
+            el.style.transform = `translate(${dx}px, ${dy}px)`;
+            el.style.transitionDuration = "0s";
+            movedElements.push(el);
+        });
+        if (movedElements.length === 0) return;
+        void document.body.offsetHeight; // 强制回流，让元素先停留在旧位置
+        const moveClass = `${transition.name}-move`;
+        movedElements.forEach((el) => {
+            el.classList.add(moveClass);
+            el.style.transform = "";
+            el.style.transitionDuration = "";
+            this.whenTransitionEnds(el, () => el.classList.remove(moveClass));
+        });
+    },
+
+    handleNIf(element, expression, scope, compileFn, directiveHandlers, parentComponentName, elseBranches = []) {
         const placeholder = document.createComment(`n-if: ${expression}`);
-        let isShowing = false;
-        let currentElement = null;
+        const branches = [{ element, expression }, ...elseBranches];
 
         element.parentNode.insertBefore(placeholder, element);
-        element.parentNode.removeChild(element);
+        branches.forEach((branch) => {
+            if (branch.element.parentNode) branch.element.parentNode.removeChild(branch.element);
+        });
 
+        // 先计算出应显示的分支下标 (-1 表示都不显示)：只有下标变化时渲染 Effect 才会重新执行，
+        // 其重新执行会自动销毁旧分支内创建的所有子 Effect。
+        const activeBranchSignal = createSignal(-1);
         createEffect(() => {
-            const condition = !!this.evaluateExpression(expression, scope);
-            if (condition && !isShowing) {
-                isShowing = true;
-                const clone = element.cloneNode(true);
-                clone.removeAttribute("n-if");
-                currentElement = clone;
-                placeholder.parentNode.insertBefore(clone, placeholder.nextSibling);
-                compileFn(clone, scope, directiveHandlers, `${parentComponentName} (n-if)`);
-            } else if (!condition && isShowing) {
-                isShowing = false;
-                if (currentElement) {
-                    cleanupAndRemoveNode(currentElement);
-                    currentElement = null;
+            let activeIndex = -1;
+            for (let i = 0; i < branches.length; i++) {
+                const branchExpression = branches[i].expression;
+                if (branchExpression === null || !!this.evaluateExpression(branchExpression, scope)) {
+                    activeIndex = i;
+                    break;
+                }
+            }
+            activeBranchSignal(activeIndex);
+        });
+        const transition = this.resolveTransition(element);
+        let isInitialRender = true;
+        createEffect(() => {
+            const activeIndex = activeBranchSignal();
+            const shouldAnimate = !!transition && (!isInitialRender || transition.appear);
+            isInitialRender = false;
+            if (activeIndex < 0) return;
+            const branchLabel = activeIndex === 0 ? "n-if" : branches[activeIndex].expression === null ? "n-else" : "n-else-if";
+            const block = this.createBlock(branches[activeIndex].element, branchLabel, ["n-if", "n-else-if", "n-else", "n-transition"]);
+            this.insertBlock(block, placeholder.parentNode, placeholder.nextSibling);
+            const compilePromises = untrack(() => block.nodes.map((node) => compileFn(node, scope, directiveHandlers, `${parentComponentName} (${branchLabel})`)));
+            // 等待子组件挂载完成后再开始进入过渡
+            if (shouldAnimate) Promise.all(compilePromises).then(() => this.enterBlock(block, transition));
+            onCleanup(() => (transition ? this.leaveBlock(block, transition) : this.removeBlock(block)));
+        });
+    },
+
+    /**
+     * 解析 n-for 表达式。支持 `item in list`、`(item, index) in list`、`(value, key, index) in obj`，
+     * `in` 也可以写作 `of`，别名可以是解构模式 (如 `({ id, name }, i) in users`)。
+     * @returns {{ aliases: Array<object>, isTuple: boolean, sourceExpression: string } | null} 格式无效时返回 null。
+     */
+    parseForExpression(expression) {
+        const match = expression.match(/^\s*([\s\S]+?)\s+(?:in|of)\s+([\s\S]+?)\s*$/);
+        if (!match) return null;
+        let aliasSource = match[1].trim();
+        const isTuple = aliasSource.startsWith("(") && aliasSource.endsWith(")");
+        if (isTuple) aliasSource = aliasSource.slice(1, -1);
+
+        // 按顶层逗号拆分别名，解构模式内部的逗号不拆分
+        const aliasPatterns = [];
+        let depth = 0;
+        let segmentStart = 0;
+        for (let i = 0; i < aliasSource.length; i++) {
+            const char = aliasSource[i];
+            if (char === "{" || char === "[" || char === "(") depth++;
+            else if (char === "}" || char === "]" || char === ")") depth--;
+            else if (char === "," && depth === 0) {
+                aliasPatterns.push(aliasSource.slice(segmentStart, i).trim());
+                segmentStart = i + 1;
+            }
+        }
+        aliasPatterns.push(aliasSource.slice(segmentStart).trim());
+        if (aliasPatterns.length > 3 || aliasPatterns.some((pattern) => !pattern) || (!isTuple && aliasPatterns.length > 1)) return null;
+
+        const aliases = [];
+        for (const pattern of aliasPatterns) {
+            const alias = this.compileAliasPattern(pattern);
+            if (!alias) return null;
+            aliases.push(alias);
+        }
+        return { aliases, isTuple, sourceExpression: match[2] };
+    },
+
+    /**
+     * 编译别名模式：简单标识符，或解构模式 (如 `{ id, name }`、`[first, ...rest]`)。
+     * @returns {{ pattern: string, names: string[], destructure: Function|null } | null} 模式无效时返回 null。
+     */
+    compileAliasPattern(pattern) {
+        if (/^[A-Za-z_$][\w$]*$/.test(pattern)) {
+            return { pattern, names: [pattern], destructure: null };
+        }
+        const names = this.collectPatternNames(pattern);
+        if (names.length === 0) return null;
+        try {
+            const destructure = new Function("__value", `const ${pattern} = __value; return { ${names.join(", ")} };`);
+            return { pattern, names, destructure };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // 收集解构模式中声明的变量名 (跳过属性名和默认值表达式)
+    collectPatternNames(pattern) {
+        const tokens = pattern.match(/\.\.\.|[A-Za-z_$][\w$]*|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`|\d[\w.]*|[^\s\w$]/g) || [];
+        const names = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token === "=") {
+                // 跳过默认值表达式，直到同层的逗号或闭合括号
+                let depth = 0;
+                while (i + 1 < tokens.length) {
+                    const next = tokens[i + 1];
+                    if (depth === 0 && (next === "," || next === "}" || next === "]")) break;
+                    if (next === "{" || next === "[" || next === "(") depth++;
+                    else if (next === "}" || next === "]" || next === ")") depth--;
+                    i++;
+                }
+            } else if (token === "[" && tokens[i - 1] === "{") {
+                // 计算属性名 `{ [expr]: alias }`，跳到对应的 `]`
+                let depth = 1;
+                while (i + 1 < tokens.length && depth > 0) {
+                    i++;
+                    if (tokens[i] === "[") depth++;
+                    else if (tokens[i] === "]") depth--;
                 }
+            } else if (/^[A-Za-z_$]/.test(token) && tokens[i + 1] !== ":") {
+                names.push(token);
+            }
+        }
+        return names;
+    },
+
+    /**
+     * 将 n-for 的数据源统一转换为 `{ value, key, index }` 列表。
+     * 支持数组、Map、Set 及其他可迭代对象、普通对象和数字范围 (`n in 10` 依次为 1 到 10)。
+     */
+    toForEntries(source, parentComponentName) {
+        if (source === null || source === undefined || source === false) return [];
+        if (typeof source === "number") {
+            if (!Number.isInteger(source) || source < 0) {
+                console.warn(`指令警告：[${parentComponentName}] n-for 的数字范围必须是非负整数，收到: ${source}`);
+                return [];
+            }
+            return Array.from({ length: source }, (_, i) => ({ value: i + 1, key: i, index: i }));
+        }
+        if (Array.isArray(source)) {
+            // 按下标读取，保证 Store 数组的每一项都被追踪
+            const entries = [];
+            for (let i = 0; i < source.length; i++) entries.push({ value: source[i], key: i, index: i });
+            return entries;
+        }
+        if (source instanceof Map) {
+            let index = 0;
+            return Array.from(source, ([key, value]) => ({ value, key, index: index++ }));
+        }
+        if (typeof source[Symbol.iterator] === "function") {
+            return Array.from(source, (value, index) => ({ value, key: index, index }));
+        }
+        if (typeof source === "object") {
+            return Object.keys(source).map((key, index) => ({ value: source[key], key, index }));
+        }
+        console.warn(`指令警告：[${parentComponentName}] n-for 无法遍历类型为 ${typeof source} 的值。`);
+        return [];
+    },
+
+    // 在作用域上定义别名：简单标识符直接映射到 read()，解构模式则为每个变量定义 getter
+    defineForAlias(targetScope, alias, read) {
+        if (!alias.destructure) {
+            Object.defineProperty(targetScope, alias.pattern, { get: read, enumerable: true, configurable: true });
+            return;
+        }
+        let lastValue;
+        let lastResult = null;
+        const readDestructured = () => {
+            const value = read();
+            if (lastResult === null || value !== lastValue) {
+                lastValue = value;
+                lastResult = alias.destructure(value);
             }
+            return lastResult;
+        };
+        alias.names.forEach((name) => {
+            Object.defineProperty(targetScope, name, { get: () => readDestructured()[name], enumerable: true, configurable: true });
         });
     },
 
-    // [REPLACE] 最终优化版: 用这个更健壮、更简单的协调算法替换旧的 handleNFor
+    /**
+     * 作用域插槽：按父组件 `<template slot-props="...">` 中的模式，把子组件 <slot> 传出的数据定义到插槽内容的作用域上。
+     * slotProps 的每个属性都是读取子组件数据的 getter，插槽内容中的绑定会随之更新。
+     */
+    defineSlotProps(targetScope, pattern, slotProps, parentComponentName) {
+        const alias = this.compileAliasPattern(pattern.trim());
+        if (!alias) {
+            console.warn(`指令警告：[${parentComponentName}] 无效的 slot-props 表达式: "${pattern}"`);
+            return;
+        }
+        // 解构时每次读取都生成新的快照，避免 defineForAlias 按对象引用缓存解构结果
+        this.defineForAlias(targetScope, alias, alias.destructure ? () => ({ ...slotProps }) : () => slotProps);
+    },
+
+    // 基于 key 的列表协调：复用 key 相同的行，并按最长递增子序列计算最少的移动
     handleNFor(element, expression, scope, compileFn, directiveHandlers, parentComponentName) {
-        const forRegex = /^\s*\(([^,]+),\s*([^)]+)\)\s+in\s+(.+)$|^\s*([^,]+)\s+in\s+(.+)$/;
-        const match = expression.match(forRegex);
-        if (!match) {
+        const parsed = this.parseForExpression(expression);
+        if (!parsed) {
             console.error(`指令错误：[${parentComponentName}] n-for 表达式格式无效: "${expression}"`);
             return;
         }
 
-        const [_, itemAndIndex, indexName, listExpr1, itemName, listExpr2] = match;
-        const isTuple = !!itemAndIndex;
-        const itemVarName = isTuple ? itemAndIndex.trim() : itemName.trim();
-        const indexVarName = isTuple ? indexName.trim() : "index";
-        const listExpression = isTuple ? listExpr1.trim() : listExpr2.trim();
+        const { aliases, isTuple, sourceExpression } = parsed;
+        const [valueAlias, keyAlias, indexAlias] = aliases;
+        // 非元组写法沿用默认的 `index` 变量
+        const defaultIndexAlias = isTuple ? null : { pattern: "index", names: ["index"], destructure: null };
+        const defineAliases = (targetScope, readValue, readKey, readIndex) => {
+            this.defineForAlias(targetScope, valueAlias, readValue);
+            if (keyAlias) this.defineForAlias(targetScope, keyAlias, readKey);
+            if (indexAlias) this.defineForAlias(targetScope, indexAlias, readIndex);
+            if (defaultIndexAlias) this.defineForAlias(targetScope, defaultIndexAlias, readIndex);
+        };
 
         const placeholder = document.createComment(`n-for: ${expression}`);
         element.parentNode.insertBefore(placeholder, element);
         element.parentNode.removeChild(element);
 
-        let oldNodesMap = new Map(); // key -> { node, scope }
+        const keyAttr = element.getAttribute(":key");
+        const transition = this.resolveTransition(element);
+        let isInitialRender = true;
+        // 当前已渲染的行，按 DOM 顺序排列：{ key, block, valueSignal, keySignal, indexSignal, childScope, dispose }
+        let renderedEntries = [];
+        // 每一项都在独立的 Root 中编译，挂在列表所在的 Owner 下，不会因列表 Effect 重新执行而被销毁
+        const listOwner = getOwner();
+
+        // 作用域中的别名是读取 Signal 的 getter：在 Effect 中读取会被追踪，复用的行在数据变化时原地更新；
+        // 事件处理器等不自动解包的场景中拿到的仍是普通值
+        const createEntry = (key, entry) => {
+            const valueSignal = createSignal(entry.value);
+            const keySignal = createSignal(entry.key);
+            const indexSignal = createSignal(entry.index);
+            const childScope = Object.create(scope);
+            defineAliases(childScope, valueSignal, keySignal, indexSignal);
+            const block = this.createBlock(element, "n-for item", ["n-for", ":key", "n-transition"]);
+            return { key, block, valueSignal, keySignal, indexSignal, childScope, dispose: null };
+        };
+        // 区块插入 DOM 之后再编译 (文本插值等需要父节点)
+        const compileEntry = (rendered, shouldAnimate) => {
+            let compilePromises = [];
+            rendered.dispose = createRoot(() => {
+                compilePromises = rendered.block.nodes.map((node) => compileFn(node, rendered.childScope, directiveHandlers, `${parentComponentName} (n-for item)`));
+            }, listOwner);
+            if (shouldAnimate) Promise.all(compilePromises).then(() => this.enterBlock(rendered.block, transition));
+        };
+        const removeEntry = (rendered) => {
+            if (rendered.dispose) rendered.dispose();
+            if (transition) this.leaveBlock(rendered.block, transition);
+            else this.removeBlock(rendered.block);
+        };
+        const getBlockElements = (rendered) => this.getBlockNodes(rendered.block).filter((node) => node.nodeType === Node.ELEMENT_NODE);
 
         createEffect(() => {
-            const newList = this.evaluateExpression(listExpression, scope) || [];
+            const entries = this.toForEntries(this.evaluateExpression(sourceExpression, scope), parentComponentName);
             const parent = placeholder.parentNode;
             if (!parent) return;
-
-            const newNodesMap = new Map();
-            const newKeys = new Set();
-
-            // `lastNode` 是一个游标，始终指向前一个被正确放置的节点。
-            // 新节点或被移动的节点总是被插入到它的后面。
-            let lastNode = placeholder;
+            const shouldAnimate = !!transition && (!isInitialRender || transition.appear);
+            isInitialRender = false;
 
             // =================================================================
-            // Pass 1: 遍历新列表，进行创建、更新和移动
+            // 步骤 1: 计算每一项的 key
             // =================================================================
-            for (let i = 0; i < newList.length; i++) {
-                const item = newList[i];
-                const childScope = Object.create(scope);
-                childScope[itemVarName] = item;
-                childScope[indexVarName] = i;
-
-                const keyAttr = element.getAttribute(":key");
-                const key = keyAttr ? this.evaluateExpression(keyAttr, childScope) : i;
-
+            const newKeys = new Array(entries.length);
+            const seenKeys = new Set();
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                let key = i;
+                if (keyAttr) {
+                    // key 在一个只包含当前值的临时作用域中求值
+                    const keyScope = Object.create(scope);
+                    defineAliases(keyScope, () => entry.value, () => entry.key, () => entry.index);
+                    key = this.evaluateExpression(keyAttr, keyScope);
+                }
                 if (key === null || key === undefined) {
                     console.warn(`指令警告：[${parentComponentName}] n-for 中的 key 为 null 或 undefined。这可能导致渲染行为异常。`);
                 }
-                newKeys.add(key);
-
-                const oldEntry = oldNodesMap.get(key);
+                if (seenKeys.has(key)) {
+                    // 重复的 key 无法用于复用，退化为每次更新都重新创建的唯一 key
+                    console.warn(`指令警告：[${parentComponentName}] n-for 中存在重复的 key "${String(key)}"，重复项将在每次更新时重新创建。请确保 :key 唯一。`);
+                    key = Symbol("n-for duplicate key");
+                }
+                seenKeys.add(key);
+                newKeys[i] = key;
+            }
 
-                if (oldEntry) {
-                    // --- 情况 A: 节点已存在，需要更新和移动 ---
-                    const { node, scope: oldScope } = oldEntry;
+            // =================================================================
+            // 快速路径: 清空列表
+            // =================================================================
+            if (entries.length === 0) {
+                renderedEntries.forEach(removeEntry);
+                renderedEntries = [];
+                return;
+            }
 
-                    // 1. 更新数据 (scope)
-                    oldScope[itemVarName] = item;
-                    oldScope[indexVarName] = i;
+            const oldIndexByKey = new Map();
+            renderedEntries.forEach((rendered, oldIndex) => oldIndexByKey.set(rendered.key, oldIndex));
 
-                    // 2. 移动到正确位置
-                    // 如果当前节点不是紧跟在前一个已放置节点的后面，说明它的位置错了，需要移动。
-                    if (node.previousSibling !== lastNode) {
-                        parent.insertBefore(node, lastNode.nextSibling);
-                    }
+            // =================================================================
+            // 快速路径: 首次渲染或整体替换 (没有任何可复用的行)
+            // =================================================================
+            if (!newKeys.some((key) => oldIndexByKey.has(key))) {
+                renderedEntries.forEach(removeEntry);
+                const fragment = document.createDocumentFragment();
+                renderedEntries = entries.map((entry, i) => {
+                    const rendered = createEntry(newKeys[i], entry);
+                    this.insertBlock(rendered.block, fragment, null);
+                    return rendered;
+                });
+                parent.insertBefore(fragment, placeholder.nextSibling);
+                renderedEntries.forEach((rendered) => compileEntry(rendered, shouldAnimate));
+                return;
+            }
 
-                    // 3. 更新游标
-                    lastNode = node;
-                    newNodesMap.set(key, oldEntry);
+            // =================================================================
+            // 步骤 2: 复用或创建每一行，并移除不再需要的旧行
+            // =================================================================
+            const tailAnchor = renderedEntries[renderedEntries.length - 1].block.end.nextSibling;
+            // 有过渡时记录重排前的位置，用于 FLIP 移动动画
+            const previousRects = transition ? new Map() : null;
+            if (previousRects) {
+                renderedEntries.forEach((rendered) => getBlockElements(rendered).forEach((el) => previousRects.set(el, el.getBoundingClientRect())));
+            }
+            const nextEntries = new Array(entries.length);
+            // sources[i] 为新位置 i 上的行在旧列表中的下标，新建的行为 -1
+            const sources = new Array(entries.length);
+            const reusedOldIndices = new Set();
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                const oldIndex = oldIndexByKey.get(newKeys[i]);
+                if (oldIndex !== undefined) {
+                    const rendered = renderedEntries[oldIndex];
+                    // 值未变化时 Signal 不会通知，未改变的行不会做任何工作
+                    rendered.valueSignal(entry.value);
+                    rendered.keySignal(entry.key);
+                    rendered.indexSignal(entry.index);
+                    nextEntries[i] = rendered;
+                    sources[i] = oldIndex;
+                    reusedOldIndices.add(oldIndex);
                 } else {
-                    // --- 情况 B: 节点是全新的，需要创建 ---
-                    const clone = element.cloneNode(true);
-                    clone.removeAttribute("n-for");
-                    if (keyAttr) clone.removeAttribute(":key");
-
-                    // 1. 插入到正确位置
-                    parent.insertBefore(clone, lastNode.nextSibling);
-
-                    // 2. 更新游标
-                    lastNode = clone;
-
-                    // 3. 编译新节点并存入 newNodesMap
-                    const newEntry = { node: clone, scope: childScope };
-                    newNodesMap.set(key, newEntry);
-                    compileFn(clone, childScope, directiveHandlers, `${parentComponentName} (n-for item)`);
+                    nextEntries[i] = createEntry(newKeys[i], entry);
+                    sources[i] = -1;
                 }
             }
+            renderedEntries.forEach((rendered, oldIndex) => {
+                if (!reusedOldIndices.has(oldIndex)) removeEntry(rendered);
+            });
 
             // =================================================================
-            // Pass 2: 移除不再需要的旧节点
+            // 步骤 3: 旧下标的最长递增子序列中的行保持不动，只移动其余的行
+            // 从后往前放置，每一行都插入到它后一行的起点之前
             // =================================================================
-            for (const [key, { node }] of oldNodesMap.entries()) {
-                if (!newKeys.has(key)) {
-                    cleanupAndRemoveNode(node);
+            const stablePositions = new Set(this.longestIncreasingSubsequence(sources));
+            const createdEntries = [];
+            let referenceNode = tailAnchor;
+            for (let i = nextEntries.length - 1; i >= 0; i--) {
+                const rendered = nextEntries[i];
+                if (sources[i] === -1) {
+                    this.insertBlock(rendered.block, parent, referenceNode);
+                    createdEntries.push(rendered);
+                } else if (!stablePositions.has(i)) {
+                    this.moveBlock(rendered.block, parent, referenceNode);
                 }
+                referenceNode = rendered.block.start;
+            }
+            createdEntries.reverse().forEach((rendered) => compileEntry(rendered, shouldAnimate));
+            if (previousRects) {
+                const reusedElements = nextEntries.filter((rendered, i) => sources[i] !== -1).flatMap(getBlockElements);
+                this.applyMoveTransitions(reusedElements, previousRects, transition);
             }
 
-            // 为下一次更新做准备
-            oldNodesMap = newNodesMap;
+            renderedEntries = nextEntries;
         });
     },
 
-    handleAttributeBinding(element, attrName, expression, scope, parentComponentName) {
+    /**
+     * 计算最长递增子序列，负值 (新建的行) 不参与。
+     * @param {number[]} sequence - 每个新位置对应的旧下标。
+     * @returns {number[]} 构成最长递增子序列的位置 (sequence 的下标)，按升序排列。
+     */
+    longestIncreasingSubsequence(sequence) {
+        const predecessors = new Array(sequence.length);
+        // tails[k] 为长度 k + 1 的递增子序列中末尾值最小的那个的末尾位置
+        const tails = [];
+        for (let i = 0; i < sequence.length; i++) {
+            const value = sequence[i];
+            if (value < 0) continue;
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sequence[tails[mid]] < value) low = mid + 1;
+                else high = mid;
+            }
+            predecessors[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        }
+        const result = new Array(tails.length);
+        let current = tails[tails.length - 1];
+        for (let k = tails.length - 1; k >= 0; k--) {
+            result[k] = current;
+            current = predecessors[current];
+        }
+        return result;
+    },
+
+    /**
+     * 将 :class 的值 (字符串、数组、对象及其任意嵌套组合) 转换为类名集合。
+     * @returns {Set<string>}
+     */
+    normalizeClass(value, classNames = new Set()) {
+        if (typeof value === "string") {
+            value.split(/\s+/).forEach((className) => className && classNames.add(className));
+        } else if (Array.isArray(value)) {
+            value.forEach((item) => this.normalizeClass(item, classNames));
+        } else if (value && typeof value === "object") {
+            Object.keys(value).forEach((key) => {
+                if (value[key]) this.normalizeClass(key, classNames);
+            });
+        }
+        return classNames;
+    },
+
+    /**
+     * 将 :style 的值 (字符串、对象或它们组成的数组，后者覆盖前者) 转换为 `{ kebab-case 属性名: 值 }`。
+     * CSS 自定义属性 (`--x`) 保持原样。
+     */
+    normalizeStyle(value, styles = {}) {
+        if (typeof value === "string") {
+            // 按分号拆分，忽略括号内的分号 (如 url(data:...;base64,...))
+            value.split(/;(?![^(]*\))/g).forEach((declaration) => {
+                const separatorIndex = declaration.indexOf(":");
+                if (separatorIndex === -1) return;
+                const propertyName = declaration.slice(0, separatorIndex).trim();
+                const propertyValue = declaration.slice(separatorIndex + 1).trim();
+                if (propertyName) styles[propertyName.startsWith("--") ? propertyName : propertyName.toLowerCase()] = propertyValue;
+            });
+        } else if (Array.isArray(value)) {
+            value.forEach((item) => this.normalizeStyle(item, styles));
+        } else if (value && typeof value === "object") {
+            Object.keys(value).forEach((key) => {
+                const propertyValue = value[key];
+                if (propertyValue === null || propertyValue === undefined || propertyValue === false || propertyValue === "") return;
+                const propertyName = key.startsWith("--") ? key : key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+                styles[propertyName] = String(propertyValue);
+            });
+        }
+        return styles;
+    },
+
+    // 设置单个样式属性，支持值末尾的 `!important`
+    setStyleProperty(element, propertyName, propertyValue) {
+        const importantMatch = /\s*!important\s*$/i.exec(propertyValue);
+        if (importantMatch) {
+            element.style.setProperty(propertyName, propertyValue.slice(0, importantMatch.index), "important");
+        } else {
+            element.style.setProperty(propertyName, propertyValue);
+        }
+    },
+
+    /**
+     * 创建单个属性的写入函数，:attr 绑定和 n-bind 共用。
+     * 写入函数保存上一次的值，`undefined` 表示撤销绑定 (移除属性，class / style 恢复为静态值)。
+     * @returns {Function} `(value) => void`
+     */
+    createAttributeSetter(element, attrName) {
         // 将 kebab-case 的 attrName 转换为 camelCase 的 propName
         const propName = attrName.replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+        // :class / :style 与元素上的静态 class / style 合并，并记录上一次绑定的值用于比较
+        const staticClasses = attrName === "class" ? this.normalizeClass(element.getAttribute("class") || "") : null;
+        const staticStyle = attrName === "style" ? this.normalizeStyle(element.getAttribute("style") || "") : null;
+        let previousClasses = new Set();
+        let previousStyle = {};
 
-        createEffect(() => {
-            const value = this.evaluateExpression(expression, scope);
+        return (value) => {
+            // 保留原始值，供 n-model 比较选项、复选框的值 (属性上只能存放字符串)
+            if (attrName === "value" || attrName === "true-value" || attrName === "false-value") {
+                element[`_${propName}`] = value;
+            }
 
             // 准确判断是否为 Web Component
             const isWebComponent = element.tagName.includes("-") && window.customElements.get(element.tagName.toLowerCase());
 
             if (attrName === "class") {
-                // class 的处理逻辑保持不变
-                if (typeof value === "object" && value !== null) {
-                    Object.keys(value).forEach((className) => {
-                        element.classList.toggle(className, !!value[className]);
-                    });
-                } else if (typeof value === "string") {
-                    element.setAttribute("class", value);
-                }
+                // 与上一次绑定的类名比较：移除不再需要的 (静态类名除外)，添加新增的；其他代码添加的类名不受影响
+                const nextClasses = this.normalizeClass(value);
+                previousClasses.forEach((className) => {
+                    if (!nextClasses.has(className) && !staticClasses.has(className)) element.classList.remove(className);
+                });
+                nextClasses.forEach((className) => {
+                    if (!previousClasses.has(className)) element.classList.add(className);
+                });
+                previousClasses = nextClasses;
             } else if (attrName === "style") {
-                // style 的处理逻辑保持不变
-                if (typeof value === "object" && value !== null) {
-                    Object.assign(element.style, value);
-                } else if (typeof value === "string") {
-                    element.style.cssText = value;
-                }
+                // 与上一次绑定的样式比较：不再设置的属性恢复为静态值或移除
+                const nextStyle = this.normalizeStyle(value);
+                Object.keys(previousStyle).forEach((propertyName) => {
+                    if (propertyName in nextStyle) return;
+                    if (propertyName in staticStyle) this.setStyleProperty(element, propertyName, staticStyle[propertyName]);
+                    else element.style.removeProperty(propertyName);
+                });
+                Object.keys(nextStyle).forEach((propertyName) => {
+                    if (previousStyle[propertyName] !== nextStyle[propertyName]) this.setStyleProperty(element, propertyName, nextStyle[propertyName]);
+                });
+                previousStyle = nextStyle;
             } else if (isWebComponent && propName in element) {
                 // **策略核心：如果目标是 Web Component 且存在对应的 JS Property，则直接设置 Property**
                 // 这可以传递任何类型的数据（对象、数组、布尔值），无需序列化，性能最高。
@@ -246,51 +850,293 @@ window.NueDirectives = {
                     element.setAttribute(attrName, finalValue);
                 }
             }
+        };
+    },
+
+    handleAttributeBinding(element, attrName, expression, scope, parentComponentName) {
+        const applyValue = this.createAttributeSetter(element, attrName);
+        createEffect(() => applyValue(this.evaluateExpression(expression, scope)));
+    },
+
+    /**
+     * n-bind="attrs"：将对象中的每个键作为属性绑定到元素上 (Web Component 上优先设置同名 Property)。
+     * 对象更新时，上一次存在而本次缺失的键会被移除。
+     */
+    handleNBind(element, expression, scope, parentComponentName) {
+        const setters = new Map();
+        createEffect(() => {
+            const attrs = this.evaluateExpression(expression, scope);
+            if (attrs !== null && attrs !== undefined && typeof attrs !== "object") {
+                console.warn(`指令警告：[${parentComponentName}] n-bind="${expression}" 的值应为对象，实际得到 ${typeof attrs}。`);
+            }
+            const nextAttrs = attrs && typeof attrs === "object" ? attrs : {};
+            setters.forEach((applyValue, attrName) => {
+                if (attrName in nextAttrs) return;
+                applyValue(undefined);
+                setters.delete(attrName);
+            });
+            Object.keys(nextAttrs).forEach((attrName) => {
+                if (!setters.has(attrName)) setters.set(attrName, this.createAttributeSetter(element, attrName));
+                const value = nextAttrs[attrName];
+                setters.get(attrName)(value && value.__is_signal__ ? value() : value);
+            });
         });
     },
 
-    handleNModel(element, expression, scope, parentComponentName) {
-        const signal = this.evaluateExpression(expression, scope, false); // 获取 Signal 引用
-        if (!signal || !signal.__is_signal__) {
-            console.error(`指令错误：[${parentComponentName}] n-model 必须绑定到一个 Signal。"${expression}" 不是一个有效的 Signal。`);
-            return;
+    /**
+     * n-on="{ click: onClick, keydown: onKey }"：按对象的键批量监听事件。
+     * 监听器在对象的键出现时添加、消失时移除，事件触发时总是调用对象中最新的处理函数。
+     */
+    handleNOn(element, expression, scope, parentComponentName) {
+        const handlerOwner = getOwner();
+        const listeners = new Map();
+        let currentHandlers = {};
+        const reportHandlerError = (error, eventName) => {
+            if (!handleError(error, { source: "event", component: parentComponentName, expression }, handlerOwner)) {
+                console.error(`核心错误：[${parentComponentName}] 执行 n-on 的 "${eventName}" 事件处理器时出错:`, error);
+            }
+        };
+        createEffect(() => {
+            const handlers = this.evaluateExpression(expression, scope);
+            if (handlers !== null && handlers !== undefined && typeof handlers !== "object") {
+                console.warn(`指令警告：[${parentComponentName}] n-on="${expression}" 的值应为 { 事件名: 处理函数 } 对象，实际得到 ${typeof handlers}。`);
+            }
+            currentHandlers = handlers && typeof handlers === "object" ? handlers : {};
+            listeners.forEach((listener, eventName) => {
+                if (eventName in currentHandlers) return;
+                element.removeEventListener(eventName, listener);
+                listeners.delete(eventName);
+            });
+            Object.keys(currentHandlers).forEach((eventName) => {
+                if (listeners.has(eventName)) return;
+                const listener = (event) => {
+                    const handler = currentHandlers[eventName];
+                    if (typeof handler !== "function") return;
+                    try {
+                        const result = handler.call(scope, event);
+                        if (result && typeof result.then === "function") result.then(null, (error) => reportHandlerError(error, eventName));
+                    } catch (error) {
+                        reportHandlerError(error, eventName);
+                    }
+                };
+                element.addEventListener(eventName, listener);
+                listeners.set(eventName, listener);
+            });
+        });
+    },
+
+    /**
+     * 解析 n-model 的绑定目标，返回统一的读写接口。
+     * 支持 Signal，以及 Store 上的属性路径 (如 `form.email`、`rows[i].name`)。
+     * @returns {{ get: Function, set: Function } | null} 无法绑定时返回 null。
+     */
+    resolveModelBinding(expression, scope, parentComponentName) {
+        const target = this.evaluateExpression(expression, scope, false);
+        if (target && target.__is_signal__) {
+            return { get: () => target(), set: (value) => target(value) };
+        }
+        const pathMatch = expression.trim().match(/^([\s\S]+)(?:\.\s*([A-Za-z_$][\w$]*)|\[([^\[\]]+)\])$/);
+        if (pathMatch) {
+            const [, ownerExpression, propName, keyExpression] = pathMatch;
+            const readOwner = () => this.evaluateExpression(ownerExpression, scope);
+            const owner = readOwner();
+            if (owner && owner.__is_store__) {
+                return {
+                    get: () => this.evaluateExpression(expression, scope),
+                    set: (value) => {
+                        const currentOwner = readOwner();
+                        if (!currentOwner) return;
+                        const key = propName !== undefined ? propName : this.evaluateExpression(keyExpression, scope);
+                        currentOwner[key] = value;
+                    },
+                };
+            }
         }
+        console.error(`指令错误：[${parentComponentName}] n-model 必须绑定到一个 Signal 或 Store 属性。"${expression}" 不是一个有效的绑定目标。`);
+        return null;
+    },
 
-        const updateSignal = (event) => {
-            const target = event.target;
-            let value;
-            if (target.type === "checkbox") {
-                value = target.checked;
-            } else if (target.type === "radio") {
-                if (target.checked) value = target.value;
-                else return; // 如果 radio 未选中，不更新 signal
-            } else {
-                value = target.value;
+    // 对 n-model 写入的值应用 .trim / .number 修饰符 (只处理字符串)
+    applyModelModifiers(value, modifiers) {
+        if (typeof value !== "string") return value;
+        if (modifiers.includes("trim")) value = value.trim();
+        if (modifiers.includes("number")) {
+            const number = parseFloat(value);
+            if (!isNaN(number)) value = number;
+        }
+        return value;
+    },
+
+    // 宽松比较：对象按 JSON 结构比较，其余按字符串形式比较 (如 1 与 "1")
+    looseEqual(a, b) {
+        if (a === b) return true;
+        const isObjectA = a !== null && typeof a === "object";
+        const isObjectB = b !== null && typeof b === "object";
+        if (isObjectA || isObjectB) {
+            if (!isObjectA || !isObjectB) return false;
+            try {
+                return JSON.stringify(a) === JSON.stringify(b);
+            } catch (error) {
+                return false;
             }
-            signal(value);
-        };
+        }
+        if (a === null || a === undefined || b === null || b === undefined) return false;
+        return String(a) === String(b);
+    },
+
+    /**
+     * 双向绑定。支持文本输入、textarea、contenteditable、单选框、复选框 (布尔值、true-value/false-value、数组分组)
+     * 和 select (multiple 时绑定数组)。修饰符：.lazy 在 change 时才同步，.trim 去除首尾空白，.number 转换为数字。
+     * @param {string[]} [modifiers=[]] - `n-model.` 之后的修饰符列表。
+     */
+    handleNModel(element, expression, scope, parentComponentName, modifiers = []) {
+        const binding = this.resolveModelBinding(expression, scope, parentComponentName);
+        if (!binding) return;
 
-        element.addEventListener("input", updateSignal);
-        element.addEventListener("change", updateSignal);
+        const tagName = element.tagName.toLowerCase();
+        const type = tagName === "input" ? (element.getAttribute("type") || "text").toLowerCase() : "";
+        const castModifiers = type === "number" && !modifiers.includes("number") ? [...modifiers, "number"] : modifiers;
+        const castValue = (value) => this.applyModelModifiers(value, castModifiers);
+        // 通过 :value 绑定的原始值 (可以是数字、对象) 优先于字符串形式的 value
+        const getElementValue = (el) => ("_value" in el ? el._value : el.value);
 
-        createEffect(() => {
-            const value = signal();
-            if (element.type === "checkbox") {
-                element.checked = !!value;
-            } else if (element.type === "radio") {
-                element.checked = element.value === String(value);
-            } else {
-                if (element.value !== value) {
-                    element.value = value === null || value === undefined ? "" : value;
+        if (tagName === "select") {
+            const readSelected = () => {
+                const selectedValues = Array.from(element.options)
+                    .filter((option) => option.selected)
+                    .map((option) => castValue(getElementValue(option)));
+                return element.multiple ? selectedValues : selectedValues[0];
+            };
+            const applySelected = () => {
+                const value = binding.get();
+                if (element.multiple) {
+                    const values = Array.isArray(value) ? value : [];
+                    Array.from(element.options).forEach((option) => {
+                        const optionValue = castValue(getElementValue(option));
+                        option.selected = values.some((item) => this.looseEqual(item, optionValue));
+                    });
+                    return;
                 }
+                const matchedIndex = Array.from(element.options).findIndex((option) => this.looseEqual(value, castValue(getElementValue(option))));
+                element.selectedIndex = matchedIndex;
+            };
+            element.addEventListener("change", () => binding.set(readSelected()));
+            createEffect(applySelected);
+            // <option> 在 select 之后才编译，并可能由 n-for 动态增减，选项变化后重新同步选中状态
+            if (typeof MutationObserver === "function") {
+                const observer = new MutationObserver(() => untrack(applySelected));
+                observer.observe(element, { childList: true, subtree: true, attributes: true, attributeFilter: ["value"] });
+                if (getOwner()) onCleanup(() => observer.disconnect());
             }
+            return;
+        }
+
+        if (type === "checkbox") {
+            const readCheckboxValue = (checked) => {
+                const propName = checked ? "_trueValue" : "_falseValue";
+                const attrName = checked ? "true-value" : "false-value";
+                if (propName in element) return element[propName];
+                return element.hasAttribute(attrName) ? element.getAttribute(attrName) : checked;
+            };
+            const hasCustomTrueValue = () => "_trueValue" in element || element.hasAttribute("true-value");
+            element.addEventListener("change", () => {
+                const modelValue = binding.get();
+                if (Array.isArray(modelValue)) {
+                    // 复选框分组：按元素的 value 在数组中增删
+                    const ownValue = castValue(getElementValue(element));
+                    const otherValues = modelValue.filter((item) => !this.looseEqual(item, ownValue));
+                    binding.set(element.checked ? [...otherValues, ownValue] : otherValues);
+                } else {
+                    binding.set(readCheckboxValue(element.checked));
+                }
+            });
+            createEffect(() => {
+                const value = binding.get();
+                if (Array.isArray(value)) {
+                    const ownValue = castValue(getElementValue(element));
+                    element.checked = value.some((item) => this.looseEqual(item, ownValue));
+                } else {
+                    element.checked = hasCustomTrueValue() ? this.looseEqual(value, readCheckboxValue(true)) : !!value;
+                }
+            });
+            return;
+        }
+
+        if (type === "radio") {
+            element.addEventListener("change", () => {
+                if (element.checked) binding.set(castValue(getElementValue(element)));
+            });
+            createEffect(() => {
+                element.checked = this.looseEqual(binding.get(), castValue(getElementValue(element)));
+            });
+            return;
+        }
+
+        // 文本输入、textarea 和 contenteditable
+        const isContentEditable = tagName !== "input" && tagName !== "textarea" && element.hasAttribute("contenteditable") && element.getAttribute("contenteditable") !== "false";
+        const isLazy = modifiers.includes("lazy");
+        const readElementText = () => (isContentEditable ? element.textContent : element.value);
+        const commit = () => binding.set(castValue(readElementText()));
+
+        // 输入法组合输入 (如中文拼音) 期间不写回，组合结束后再提交
+        let isComposing = false;
+        element.addEventListener("compositionstart", () => {
+            isComposing = true;
+        });
+        element.addEventListener("compositionend", () => {
+            if (!isComposing) return;
+            isComposing = false;
+            if (!isLazy) commit();
+        });
+        const commitEventName = isLazy ? (isContentEditable ? "blur" : "change") : "input";
+        element.addEventListener(commitEventName, (event) => {
+            if (isComposing || event.isComposing) return;
+            commit();
+        });
+        if (modifiers.includes("trim") && !isContentEditable) {
+            element.addEventListener("change", () => {
+                element.value = element.value.trim();
+            });
+        }
+
+        createEffect(() => {
+            const value = binding.get();
+            const nextText = value === null || value === undefined ? "" : String(value);
+            const currentText = readElementText();
+            if (currentText === nextText) return;
+            // 正在编辑的元素：当前内容经修饰符转换后与模型一致时不回写，避免光标跳动
+            if (document.activeElement === element && (isLazy || castValue(currentText) === value)) return;
+            if (isContentEditable) element.textContent = nextText;
+            else element.value = nextText;
         });
     },
 
     handleNShow(element, expression, scope, parentComponentName) {
+        const transition = this.resolveTransition(element);
+        let lastCondition;
         createEffect(() => {
             const condition = !!this.evaluateExpression(expression, scope);
-            element.style.display = condition ? "" : "none";
+            const shouldAnimate = !!transition && (lastCondition !== undefined || transition.appear);
+            if (condition === lastCondition) return;
+            lastCondition = condition;
+            if (!shouldAnimate) {
+                element.style.display = condition ? "" : "none";
+            } else if (condition) {
+                element.style.display = "";
+                this.runEnterTransition(element, transition);
+            } else {
+                this.runLeaveTransition(element, transition, () => {
+                    element.style.display = "none";
+                });
+            }
+        });
+    },
+
+    // n-text: 以 textContent 写入，内容不会被当作 HTML 解析
+    handleNText(element, expression, scope, parentComponentName) {
+        createEffect(() => {
+            const value = this.evaluateExpression(expression, scope);
+            element.textContent = value === null || value === undefined ? "" : String(value);
         });
     },
 
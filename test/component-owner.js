@@ -0,0 +1,57 @@
+// 组件脚本在 await 之后创建的 Effect 与清理函数仍归属于组件，卸载时随之销毁
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+const parentComponent = `<template><div><async-child n-if="show"></async-child></div></template>
+<script>const show = createSignal(true); window.show = show; return { show };</script>`;
+
+const asyncChild = `<template><p>{{ count }}</p></template>
+<script>
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const count = createSignal(0);
+    window.count = count;
+    window.log = [];
+    createEffect(() => {
+        window.log.push("effect " + count());
+        createEffect(() => window.log.push("inner " + count()));
+    });
+    onCleanup(() => window.log.push("cleanup"));
+    return { count };
+</script>`;
+
+runTests([
+    [
+        "await 之后创建的 Effect 在组件卸载时停止，onCleanup 被执行",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "async-child.nue": asyncChild });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(20);
+            assert.strictEqual(window.document.querySelector("p").textContent, "0");
+
+            window.count(1);
+            await flush();
+            assert.deepStrictEqual(Array.from(window.log), ["effect 0", "inner 0", "effect 1", "inner 1"]);
+
+            window.show(false);
+            await flush();
+            assert.deepStrictEqual(Array.from(window.log).slice(4), ["cleanup"]);
+
+            window.count(2);
+            await flush();
+            assert.deepStrictEqual(Array.from(window.log).slice(4), ["cleanup"]);
+        },
+    ],
+    [
+        "组件在 await 期间被卸载时，之后创建的 Effect 不会执行，清理函数立即执行",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "async-child.nue": asyncChild });
+            const mounting = window.NueCore.init("app", "parent.nue");
+            await flush();
+            window.show(false);
+            await mounting;
+            await flush(20);
+            assert.deepStrictEqual(Array.from(window.log), ["cleanup"]);
+            assert.strictEqual(window.document.querySelector("p"), null);
+        },
+    ],
+]);
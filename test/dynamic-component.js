@@ -0,0 +1,76 @@
+// <component :is> 与 <transition> 作为 n-if / n-for 的区块时，以注释锚点界定范围
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+const files = {
+    "comp-a.nue": `<template><p>A</p></template>`,
+    "comp-b.nue": `<template><p>B</p></template>`,
+    "comp-c.nue": `<template><p>C</p></template>`,
+};
+
+const renderedText = (window) => Array.from(window.document.querySelectorAll("#app p")).map((p) => p.textContent).join(",");
+
+runTests([
+    [
+        "n-if 为假时移除 <component> 挂载的内容",
+        async () => {
+            const window = createWindow({
+                ...files,
+                "parent.nue": `<template><div><component n-if="show" :is="'comp-a'"></component></div></template>
+<script>const show = createSignal(true); window.show = show; return { show };</script>`,
+            });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(10);
+            assert.strictEqual(renderedText(window), "A");
+
+            window.show(false);
+            await flush(10);
+            assert.strictEqual(renderedText(window), "");
+            assert.ok(!window.document.getElementById("app").innerHTML.includes("<!--component-->"));
+
+            window.show(true);
+            await flush(10);
+            assert.strictEqual(renderedText(window), "A");
+        },
+    ],
+    [
+        "带 key 的 n-for 中的 <component> 可以重新排序和删除",
+        async () => {
+            const window = createWindow({
+                ...files,
+                "parent.nue": `<template><div><component n-for="t in types" :key="t" :is="t"></component></div></template>
+<script>const types = createSignal(["comp-a", "comp-b", "comp-c"]); window.types = types; return { types };</script>`,
+            });
+            const errors = [];
+            window.console.error = (...args) => errors.push(args.join(" "));
+            await window.NueCore.init("app", "parent.nue");
+            await flush(10);
+            assert.strictEqual(renderedText(window), "A,B,C");
+
+            window.types(["comp-c", "comp-a", "comp-b"]);
+            await flush(10);
+            assert.strictEqual(renderedText(window), "C,A,B");
+
+            window.types(["comp-c", "comp-b"]);
+            await flush(10);
+            assert.strictEqual(renderedText(window), "C,B");
+            assert.deepStrictEqual(errors, []);
+        },
+    ],
+    [
+        "n-if 为假时移除 <transition> 展开的内容",
+        async () => {
+            const window = createWindow({
+                "parent.nue": `<template><div><transition n-if="show" css="false"><p>T</p></transition></div></template>
+<script>const show = createSignal(true); window.show = show; return { show };</script>`,
+            });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(10);
+            assert.strictEqual(renderedText(window), "T");
+
+            window.show(false);
+            await flush(10);
+            assert.strictEqual(renderedText(window), "");
+        },
+    ],
+]);
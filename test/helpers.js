@@ -0,0 +1,57 @@
+// ===================================================================
+// 测试辅助：在 jsdom 中加载框架，并用内存中的文件表模拟 fetch
+// ===================================================================
+// 用法: node test/<文件名>.js
+// 需要在可被 require 解析到的位置安装 jsdom (例如 `npm install --no-save jsdom`，或通过 NODE_PATH 指定)。
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+/**
+ * 创建加载了 nono-core.js 与 nono-directives.js 的窗口。
+ * @param {object} [files] - `{ 路径: 文件内容 }`，组件与 .njs 模块通过 fetch 从这里读取。
+ */
+function createWindow(files = {}) {
+    let JSDOM;
+    try {
+        ({ JSDOM } = require("jsdom"));
+    } catch (error) {
+        console.error("未找到 jsdom，请先安装 jsdom 或通过 NODE_PATH 指定其位置。");
+        process.exit(1);
+    }
+    const html = `<!doctype html><html><head></head><body><div id="app"></div></body></html>`;
+    const { window } = new JSDOM(html, { url: "http://localhost/", runScripts: "outside-only", pretendToBeVisual: true });
+    window.fetch = async (url) => {
+        const filePath = new URL(url).pathname.replace(/^\//, "");
+        if (!(filePath in files)) return { ok: false, status: 404, statusText: "Not Found", text: async () => "" };
+        return { ok: true, status: 200, text: async () => files[filePath] };
+    };
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, "nono-core.js"), "utf8"));
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, "nono-directives.js"), "utf8"));
+    return window;
+}
+
+// 等待微任务队列与一轮宏任务执行完毕
+const flush = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 依次执行测试用例并输出结果，有失败时以非零状态码退出。
+ * @param {Array<[string, Function]>} cases
+ */
+async function runTests(cases) {
+    let failed = 0;
+    for (const [name, fn] of cases) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${name}\n`, error);
+        }
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
+module.exports = { createWindow, flush, runTests };
@@ -0,0 +1,73 @@
+// createHistory：Store 的撤销与重做按写入操作还原
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+// 经 JSON 转为当前 realm 的普通对象，比较时不关心属性顺序
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+runTests([
+    [
+        "撤销、重做 Store 的属性修改、删除与数组变更",
+        async () => {
+            const window = createWindow();
+            const { createStore, createHistory } = window.NueCore;
+            const store = createStore(window.eval(`({ title: "a", meta: { tags: ["x"] }, items: [1, 2, 3, 4] })`));
+            const history = createHistory(store);
+            const states = [toJson(store)];
+            const steps = [
+                () => (store.title = "b"),
+                () => (store.meta = window.eval(`({ tags: ["y"] })`)),
+                () => store.meta.tags.push("z"),
+                () => delete store.title,
+                () => store.items.splice(1, 2),
+                () => (store.items.length = 1),
+                () => store.items.unshift(0),
+            ];
+            for (const step of steps) {
+                step();
+                await flush();
+                states.push(toJson(store));
+            }
+            for (let i = states.length - 2; i >= 0; i--) {
+                assert.ok(history.undo());
+                assert.deepStrictEqual(toJson(store), states[i]);
+            }
+            assert.strictEqual(history.canUndo(), false);
+            for (let i = 1; i < states.length; i++) {
+                assert.ok(history.redo());
+                assert.deepStrictEqual(toJson(store), states[i]);
+            }
+        },
+    ],
+    [
+        "撤销后的数组修改触发依赖它的 Effect",
+        async () => {
+            const window = createWindow();
+            const { createStore, createHistory, createEffect } = window.NueCore;
+            const list = createStore(window.eval(`([1, 2, 3])`));
+            const history = createHistory(list);
+            const seen = [];
+            createEffect(() => seen.push(list.join(",")));
+            list.length = 0;
+            await flush();
+            history.undo();
+            await flush();
+            assert.deepStrictEqual(seen, ["1,2,3", "", "1,2,3"]);
+        },
+    ],
+    [
+        "修改大数组中的一项不会复制整个 Store",
+        async () => {
+            const window = createWindow();
+            const { createStore, createHistory } = window.NueCore;
+            const rows = createStore(window.eval(`(Array.from({ length: 20000 }, (_, i) => ({ id: i, done: false })))`));
+            const history = createHistory(rows);
+            const startedAt = Date.now();
+            for (let i = 0; i < 200; i++) rows[i].done = true;
+            await flush();
+            history.undo();
+            assert.strictEqual(rows[0].done, false);
+            assert.ok(Date.now() - startedAt < 1000, `耗时 ${Date.now() - startedAt}ms`);
+        },
+    ],
+]);
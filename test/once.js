@@ -0,0 +1,47 @@
+// n-once：子树中的绑定 (包括传给子组件的 Prop) 只求值一次，子组件内部保持正常的响应式
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+const parentComponent = `<template><table n-once><tr><td>{{ label }}</td><td><user-name :label="label"></user-name></td></tr></table></template>
+<script>const label = createSignal("a"); window.label = label; return { label };</script>`;
+
+const userName = `<template><p>{{ props.label }} {{ name }}</p></template>
+<script>
+    const name = createSignal("loading");
+    window.runs = 0;
+    createEffect(() => {
+        name();
+        window.runs++;
+    });
+    const onMount = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        name("Alice");
+    };
+    return { props, name, onMount };
+</script>`;
+
+runTests([
+    [
+        "n-once 子树中的子组件在 onMount 中更新自身状态",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "user-name.nue": userName });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(20);
+            const text = () => window.document.querySelector("p").textContent;
+            assert.strictEqual(text(), "a Alice");
+            assert.strictEqual(window.runs, 2);
+        },
+    ],
+    [
+        "n-once 子树中的绑定与传给子组件的 Prop 不随父组件的数据更新",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "user-name.nue": userName });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(20);
+            window.label("b");
+            await flush();
+            assert.strictEqual(window.document.querySelector("td").textContent, "a");
+            assert.strictEqual(window.document.querySelector("p").textContent, "a Alice");
+        },
+    ],
+]);
@@ -0,0 +1,54 @@
+// createResource：Store 数据源的追踪，以及组件卸载时中止请求
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+runTests([
+    [
+        "Store 数据源的内容变化时重新请求，fetcher 收到快照",
+        async () => {
+            const window = createWindow();
+            const { createStore, createResource } = window.NueCore;
+            // 在页面环境中创建初始对象，createStore 只接受该环境的普通对象
+            const filters = createStore(window.eval(`({ keyword: "a", tags: ["x"] })`));
+            const requests = [];
+            const { data } = createResource(filters, async (query) => {
+                requests.push(JSON.stringify(query));
+                return query.keyword;
+            });
+            await flush();
+            assert.strictEqual(data(), "a");
+
+            filters.keyword = "b";
+            await flush();
+            filters.tags.push("y");
+            await flush();
+            assert.deepStrictEqual(requests, ['{"keyword":"a","tags":["x"]}', '{"keyword":"b","tags":["x"]}', '{"keyword":"b","tags":["x","y"]}']);
+            assert.strictEqual(data(), "b");
+        },
+    ],
+    [
+        "组件脚本 await 之后创建的资源在组件卸载时中止请求",
+        async () => {
+            const window = createWindow({
+                "parent.nue": `<template><div><user-panel n-if="show"></user-panel></div></template>
+<script>const show = createSignal(true); window.show = show; return { show };</script>`,
+                "user-panel.nue": `<template><p>{{ user }}</p></template>
+<script>
+    await Promise.resolve();
+    const { data: user } = createResource(async (_, { signal }) => {
+        window.requestSignal = signal;
+        return new Promise(() => {});
+    });
+    return { user };
+</script>`,
+            });
+            await window.NueCore.init("app", "parent.nue");
+            await flush();
+            assert.strictEqual(window.requestSignal.aborted, false);
+
+            window.show(false);
+            await flush();
+            assert.strictEqual(window.requestSignal.aborted, true);
+        },
+    ],
+]);
@@ -0,0 +1,65 @@
+// Effect 调度：写入方先于读取方执行，每次更新中派生 Effect 只执行一次
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+runTests([
+    [
+        "先创建的 Effect 读取后创建的 Effect 写入的 Signal 时，每次更新只执行一次",
+        async () => {
+            const { NueCore } = createWindow();
+            const { createSignal, createEffect } = NueCore;
+            const source = createSignal(1);
+            const derived = createSignal(2);
+            const seen = [];
+            createEffect(() => seen.push(`${source()}:${derived()}`));
+            createEffect(() => derived(source() * 2));
+            seen.length = 0;
+
+            source(5);
+            await flush();
+            assert.deepStrictEqual(seen, ["5:10"]);
+
+            source(6);
+            await flush();
+            assert.deepStrictEqual(seen, ["5:10", "6:12"]);
+        },
+    ],
+    [
+        "经由计算属性的读取方同样排在写入方之后",
+        async () => {
+            const { NueCore } = createWindow();
+            const { createSignal, createEffect, createComputed } = NueCore;
+            const source = createSignal(1);
+            const derived = createSignal(1);
+            const label = createComputed(() => `${source()}/${derived()}`);
+            const seen = [];
+            createEffect(() => seen.push(label()));
+            createEffect(() => derived(source() + 100));
+            seen.length = 0;
+
+            source(2);
+            await flush();
+            assert.deepStrictEqual(seen, ["2/102"]);
+        },
+    ],
+    [
+        "内层 Effect 不会先于外层 Effect 执行",
+        async () => {
+            const { NueCore } = createWindow();
+            const { createSignal, createEffect } = NueCore;
+            const source = createSignal(1);
+            const derived = createSignal(1);
+            const order = [];
+            createEffect(() => {
+                order.push(`outer ${derived()}`);
+                createEffect(() => order.push(`inner ${source()}`));
+            });
+            createEffect(() => derived(source()));
+            order.length = 0;
+
+            source(2);
+            await flush();
+            assert.deepStrictEqual(order, ["outer 2", "inner 2"]);
+        },
+    ],
+]);
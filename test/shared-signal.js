@@ -0,0 +1,79 @@
+// createSharedSignal：新标签页请求当前值时只有一个标签页应答
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+// 模拟同一频道下的多个标签页：消息异步投递给除发送者以外的所有端点
+function createBus() {
+    const endpoints = [];
+    const messages = [];
+    const createEndpoint = () => {
+        const listeners = [];
+        const endpoint = {
+            postMessage(data) {
+                messages.push(data);
+                endpoints.filter((other) => other !== endpoint).forEach((other) => setTimeout(() => other.listeners.forEach((listener) => listener({ data })), 1));
+            },
+            addEventListener: (type, listener) => listeners.push(listener),
+            removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+            listeners,
+        };
+        endpoints.push(endpoint);
+        return endpoint;
+    };
+    return { createEndpoint, messages };
+}
+
+// 固定随机数序列，使各标签页的应答延迟可预期 (真实环境中延迟随机，偶尔可能有两个标签页同时应答)
+function createSeededWindow() {
+    const window = createWindow();
+    let seed = 1;
+    window.Math.random = () => (seed = (seed * 9301 + 49297) % 233280) / 233280;
+    return window;
+}
+
+runTests([
+    [
+        "没有 Leader 时只有最先应答的标签页发送当前值",
+        async () => {
+            const { NueCore } = createSeededWindow();
+            const bus = createBus();
+            const tabs = [1, 2, 3, 4].map(() => NueCore.createSharedSignal("app", "count", 0, { channel: bus.createEndpoint() }));
+            await flush(100);
+            tabs[0](7);
+            await flush(100);
+
+            bus.messages.length = 0;
+            const newTab = NueCore.createSharedSignal("app", "count", 0, { channel: bus.createEndpoint() });
+            await flush(100);
+            assert.strictEqual(newTab(), 7);
+            assert.strictEqual(bus.messages.filter((message) => message.type === "set").length, 1);
+        },
+    ],
+    [
+        "启用选主时只有 Leader 应答",
+        async () => {
+            const { NueCore } = createSeededWindow();
+            const bus = createBus();
+            const options = () => ({ channel: bus.createEndpoint(), leaderElection: true, heartbeatInterval: 20 });
+            const tabs = [1, 2, 3].map(() => NueCore.createSharedSignal("app", "count", 0, options()));
+            // 测试失败时同样关闭所有标签页，停止心跳定时器
+            setTimeout(() => tabs.forEach((tab) => tab.close()), 1000).unref();
+            await flush(150);
+            assert.strictEqual(tabs.filter((tab) => tab.isLeader()).length, 1);
+            tabs[1](5);
+            await flush(20);
+
+            bus.messages.length = 0;
+            const newTab = NueCore.createSharedSignal("app", "count", 0, options());
+            try {
+                await flush(15);
+                assert.strictEqual(newTab(), 5);
+                const replies = bus.messages.filter((message) => message.type === "set");
+                assert.strictEqual(replies.length, 1);
+                assert.strictEqual(replies[0].tabId, bus.messages.find((message) => message.type === "heartbeat").tabId);
+            } finally {
+                [...tabs, newTab].forEach((tab) => tab.close());
+            }
+        },
+    ],
+]);
@@ -0,0 +1,55 @@
+// 子组件上的 n-bind / n-on：对象的键集合变化时，Prop 与事件随之增减
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+const parentComponent = `<template><div><spread-child title="fixed" n-bind="childProps" n-on="listeners"></spread-child></div></template>
+<script>
+    const childProps = createSignal({ title: "ignored", count: 1 });
+    const listeners = createSignal({});
+    window.childProps = childProps;
+    window.listeners = listeners;
+    return { childProps, listeners };
+</script>`;
+
+const spreadChild = `<template><p>{{ summary }}</p></template>
+<script>
+    window.childEmit = emit;
+    const summary = createComputed(() => Object.keys(props).sort().map((key) => key + "=" + props[key]).join(","));
+    return { summary };
+</script>`;
+
+runTests([
+    [
+        "n-bind 新增与删除的键同步到子组件的 props",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "spread-child.nue": spreadChild });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(10);
+            const text = () => window.document.querySelector("p").textContent;
+            assert.strictEqual(text(), "count=1,title=fixed");
+
+            window.childProps(window.eval(`({ count: 2, "page-size": 10 })`));
+            await flush();
+            assert.strictEqual(text(), "count=2,pageSize=10,title=fixed");
+
+            window.childProps(window.eval(`({ pageSize: 20 })`));
+            await flush();
+            assert.strictEqual(text(), "pageSize=20,title=fixed");
+        },
+    ],
+    [
+        "n-on 新增的事件在 emit 时生效，移除的事件不再触发",
+        async () => {
+            const window = createWindow({ "parent.nue": parentComponent, "spread-child.nue": spreadChild });
+            await window.NueCore.init("app", "parent.nue");
+            await flush(10);
+            const received = [];
+            window.childEmit("save", 1);
+            window.listeners({ save: (payload) => received.push(payload) });
+            window.childEmit("save", 2);
+            window.listeners({});
+            window.childEmit("save", 3);
+            assert.deepStrictEqual(received, [2]);
+        },
+    ],
+]);
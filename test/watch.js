@@ -0,0 +1,58 @@
+// createWatch：flush 时机、回调所属的 Owner 与单数据源的比较方式
+const assert = require("assert");
+const { createWindow, flush, runTests } = require("./helpers");
+
+runTests([
+    [
+        "flush: 'pre' 的回调在渲染 Effect 之前执行，'post' 在之后执行",
+        async () => {
+            const { NueCore, document } = createWindow();
+            const { createSignal, createEffect, createWatch } = NueCore;
+            const count = createSignal(0);
+            const paragraph = document.createElement("p");
+            const log = [];
+            createEffect(() => (paragraph.textContent = String(count())));
+            createWatch(count, (value, oldValue) => log.push(`pre ${value}/${oldValue} dom=${paragraph.textContent}`), { flush: "pre" });
+            createWatch(count, (value, oldValue) => log.push(`post ${value}/${oldValue} dom=${paragraph.textContent}`));
+
+            count(1);
+            count(2);
+            await flush();
+            assert.deepStrictEqual(log, ["pre 2/0 dom=0", "post 2/0 dom=2"]);
+        },
+    ],
+    [
+        "回调中创建的 Effect 不会在侦听器下次触发时被销毁",
+        async () => {
+            const { NueCore } = createWindow();
+            const { createSignal, createEffect, createWatch, createRoot } = NueCore;
+            const trigger = createSignal(0);
+            const label = createSignal("a");
+            const seen = [];
+            createRoot(() => createWatch(trigger, () => createEffect(() => seen.push(label()))));
+
+            trigger(1);
+            await flush();
+            trigger(2);
+            await flush();
+            label("b");
+            await flush();
+            assert.deepStrictEqual(seen, ["a", "a", "b", "b"]);
+        },
+    ],
+    [
+        "单数据源为 NaN 时不会在每次重新求值时触发回调",
+        async () => {
+            const { NueCore } = createWindow();
+            const { createSignal, createWatch } = NueCore;
+            const other = createSignal(0);
+            const value = createSignal(NaN);
+            let calls = 0;
+            createWatch(() => (other(), value()), () => calls++, { flush: "sync" });
+
+            other(1);
+            other(2);
+            assert.strictEqual(calls, 0);
+        },
+    ],
+]);